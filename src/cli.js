@@ -8,14 +8,24 @@ import path from "path";
 import os from "os";
 import {
   geocodeLocation,
-  fetchWeather,
+  fetchForecast,
+  fetchEnsemble,
+  fetchHistory,
   describeWeatherCode,
-} from "./services/openMeteo.js";
+  resolveProvider,
+  normalizeProvider,
+} from "./services/weather.js";
 import {
   loadCache,
   saveCache,
   loadLocationCache,
   saveLocationCache,
+  loadHistoryCache,
+  saveHistoryCache,
+  listCacheEntries,
+  getCacheStats,
+  clearCache,
+  pruneCache,
 } from "./services/cache.js";
 import {
   loadConfig,
@@ -35,19 +45,82 @@ import {
   setDefaultBike,
   deleteBike,
   upsertBike,
+  getActivities,
   getActivityStats,
+  getAverageRideSpeed,
 } from "./services/db.js";
+import { loadPlaces, savePlaces, findPlace, normalizeAlias } from "./services/places.js";
 import { createStravaClient } from "./services/strava.js";
 import { sync } from "./services/sync.js";
+import { normalizeWebhookUrl, postWebhook, runCommandHook } from "./services/notify.js";
+import { createApiServer, listen } from "./services/server.js";
 import { getMaintenanceStatus, logMaintenance } from "./utils/maintenance.js";
 import { buildRecommendationSummary, getTrainingRecommendation } from "./utils/training.js";
 import { buildBikeTips } from "./utils/tips.js";
+import {
+  haversineKm,
+  bearingDegrees,
+  parseCoordinates,
+  interpolatePoints,
+  kmToDisplayDistance,
+  metersToDisplayElevation,
+  buildTrackProfile,
+  sampleCheckpoints,
+  KM_PER_MILE,
+} from "./utils/geo.js";
+import { loadRouteFile } from "./utils/routeFile.js";
+import {
+  parseClockTime,
+  parseWeekdays,
+  weekdayOf,
+  isCommuteDay,
+  mergeRecommendations,
+  buildCommuteFlags,
+} from "./utils/commute.js";
+import { parseHeading, windComponents, analyzeOutAndBack, analyzeRouteWind } from "./utils/wind.js";
+import {
+  resolveProfile,
+  listProfiles,
+  getDefaultProfile,
+  getProfileSpeed,
+  buildThresholds,
+  loadCustomProfiles,
+  saveCustomProfiles,
+  isBuiltInProfile,
+} from "./services/profiles.js";
+import {
+  loadRules,
+  loadDefaultRules,
+  readRulesFile,
+  saveRules,
+  getRulesPath,
+} from "./services/rules.js";
+import { buildFacts, evaluateRules, validateRules } from "./utils/wardrobe.js";
+import { findRideWindows, parseBetween } from "./utils/window.js";
+import { SCORE_FACTORS, explainScore, rateRideScore, scoreHour } from "./utils/score.js";
+import { assessRoadConditions, rankRoadStatus } from "./utils/roads.js";
+import { assessConfidence } from "./utils/confidence.js";
+import { lightingAt, planRideLighting, rankLighting } from "./utils/lighting.js";
+import { assessSafety, VERDICT_EXIT_CODES } from "./utils/safety.js";
+import { assessRideFeel } from "./utils/rideFeel.js";
+import { parseTimeInput, shiftWallClock } from "./utils/timeInput.js";
+import { buildNotification, diffChecks, summarizeCheck } from "./utils/watch.js";
+import { describeRideWeather, readRideStart, summarizeRideWeather, summarizeWeatherStats } from "./utils/rideWeather.js";
 import {
   renderReport,
   renderChecklist,
   renderRouteSummary,
+  renderRoutePlan,
+  renderRideWindows,
+  renderForecast,
+  renderCommute,
+  renderComparison,
   renderJson,
   renderCsv,
+  renderReportDocument,
+  renderStatsDocument,
+  isDocumentFormat,
+  DOCUMENT_FORMATS,
   renderSyncResult,
   renderAuthStatus,
   renderBikesList,
@@ -55,13 +128,31 @@ import {
   renderTrainingSummary,
   renderTrainingRecommendation,
   renderMaintenanceStatus,
+  renderProfilesList,
+  renderPlacesList,
+  renderCacheList,
+  renderCacheStats,
+  renderCacheRemoval,
+  renderProfile,
+  renderRulesExplanation,
+  renderWatchEvent,
+  renderAnnotateResult,
+  renderRulesValidation,
   renderConfigSummary,
   renderConfigChanges,
   renderConfigValue,
   renderHint,
   renderSectionHeader,
   toCardinalDirection,
+  formatForecastAge,
 } from "./utils/format.js";
+import {
+  UNIT_LABELS,
+  toLocalDateTime,
+  buildCurrentFromHourly,
+  buildCivilTwilight,
+  metersPerSecondTo,
+} from "./utils/weatherData.js";
 
 const normalizeUnits = (units) => {
   const normalized = String(units ?? "us").toLowerCase();
@@ -71,10 +162,27 @@ const normalizeUnits = (units) => {
   return normalized;
 };
 
-const normalizeFormat = (format) => {
-  const normalized = String(format ?? "text").toLowerCase();
-  if (!["text", "json", "csv"].includes(normalized)) {
-    throw new Error("Format must be 'text', 'json', or 'csv'.");
+const BASE_FORMATS = ["text", "json", "csv"];
+const TEXT_JSON_FORMATS = ["text", "json"];
+const REPORT_FORMATS = [...BASE_FORMATS, ...DOCUMENT_FORMATS];
+
+const FORMAT_ALIASES = { md: "markdown" };
+
+// ["text", "json", "csv"] → "text, json, or csv"; ["text", "json"] → "text or json"
+const listChoices = (choices, quote = (choice) => choice) => {
+  const quoted = choices.map(quote);
+  const last = quoted.pop();
+  if (!quoted.length) {
+    return last;
+  }
+  return `${quoted.join(", ")}${quoted.length > 1 ? "," : ""} or ${last}`;
+};
+
+const normalizeFormat = (format, allowed = BASE_FORMATS) => {
+  const lowered = String(format ?? "text").toLowerCase();
+  const normalized = FORMAT_ALIASES[lowered] ?? lowered;
+  if (!allowed.includes(normalized)) {
+    throw new Error(`Format must be ${listChoices(allowed, (choice) => `'${choice}'`)}.`);
   }
   return normalized;
 };
@@ -90,6 +198,25 @@ const normalizeTtl = (ttl) => {
   return value;
 };
 
+const normalizePositiveNumber = (value, label) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`${label} must be a positive number.`);
+  }
+  return parsed;
+};
+
+const normalizeDuration = (duration) => {
+  if (duration === undefined || duration === null || duration === "") {
+    return null;
+  }
+  const value = Number(duration);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error("Duration must be a positive number of minutes.");
+  }
+  return value;
+};
+
 const setNestedValue = (obj, keyPath, value) => {
   const keys = keyPath.split(".");
   let current = obj;
@@ -120,37 +247,7 @@ const getNestedValue = (obj, keyPath) => {
   return current;
 };
 
-const padNumber = (value) => String(value).padStart(2, "0");
-
-const formatLocalDateTime = (date) => {
-  const year = date.getFullYear();
-  const month = padNumber(date.getMonth() + 1);
-  const day = padNumber(date.getDate());
-  const hours = padNumber(date.getHours());
-  const minutes = padNumber(date.getMinutes());
-  return `${year}-${month}-${day}T${hours}:${minutes}`;
-};
-
-const parseTimeInput = (input, fallbackDate) => {
-  if (!input || input === "now") {
-    return null;
-  }
-
-  if (/^\d{1,2}:\d{2}$/.test(input)) {
-    if (!fallbackDate) {
-      throw new Error("Time requires a date context for HH:MM format.");
-    }
-    const [hours, minutes] = input.split(":");
-    return `${fallbackDate}T${padNumber(hours)}:${minutes}`;
-  }
-
-  const parsed = Date.parse(input);
-  if (Number.isNaN(parsed)) {
-    throw new Error("Time must be 'now', 'HH:MM', or a valid date string.");
-  }
-
-  return formatLocalDateTime(new Date(parsed));
-};
+const addMinutes = (time, minutes) => shiftWallClock(time, minutes);
 
 const findClosestHourIndex = (times, targetTime) => {
   if (!times.length || !targetTime) {
@@ -176,6 +273,65 @@ const findClosestHourIndex = (times, targetTime) => {
   return closestIndex;
 };
 
+const isDaylightAt = (data, time) => {
+  const dayIndex = data.daily?.time?.indexOf(getDateKey(time)) ?? -1;
+  const sunrise = Date.parse(data.daily?.sunrise?.[dayIndex] ?? "");
+  const sunset = Date.parse(data.daily?.sunset?.[dayIndex] ?? "");
+  const target = Date.parse(time ?? "");
+
+  if (![sunrise, sunset, target].every(Number.isFinite)) {
+    return null;
+  }
+  return target >= sunrise && target <= sunset;
+};
+
+const findDaylightFor = (data, dateKey) =>
+  data.daily?.time?.includes(dateKey) ? buildDaylight(data, dateKey) : null;
+
+const readLightingAt = (data, time) => lightingAt(findDaylightFor(data, getDateKey(time)), time);
+
+// --time is read on the location's clock. Recorded or stale forecasts that don't cover the
+// real current time fall back to the forecast's own "now".
+const buildTimeContext = (data) => {
+  const times = data.hourly?.time ?? [];
+  const clock = toLocalDateTime(new Date(), data.timezone);
+  const covered = clock && times.length && clock >= times[0] && clock <= `${times[times.length - 1].slice(0, 13)}:59`;
+  return {
+    now: covered ? clock : data.current_weather?.time ?? clock,
+    timeZone: data.timezone ?? null,
+    getDaylight: (dateKey) => findDaylightFor(data, dateKey),
+  };
+};
+
+// Errors in what the user asked for, as opposed to failures fetching or reading data. The JSON
+// API answers these with 400.
+const markBadInput = (error) => Object.assign(error, { code: "BAD_INPUT" });
+
+const readTimeOption = (input, data, { upcoming = false } = {}) => {
+  try {
+    return parseTimeInput(input, { ...buildTimeContext(data), upcoming });
+  } catch (error) {
+    throw markBadInput(error);
+  }
+};
+
+const readAirQualityAt = (data, time) => {
+  const airQuality = data.air_quality;
+  if (!airQuality?.time?.length) {
+    return { aqi: null, pm25: null };
+  }
+  const index = findClosestHourIndex(airQuality.time, time);
+  return {
+    aqi: airQuality.us_aqi?.[index] ?? null,
+    pm25: airQuality.pm2_5?.[index] ?? null,
+  };
+};
+
+const readRoadAt = (data, units, time) => {
+  const road = assessRoadConditions({ data, units, time });
+  return { roadStatus: road.status, roadReason: road.reason };
+};
+
 const buildCurrentSnapshot = (data, units) => {
   if (!data?.current_weather) {
     throw new Error("Weather data missing from API response");
@@ -198,9 +354,19 @@ const buildCurrentSnapshot = (data, units) => {
     temperature: current.temperature,
     feelsLike: apparentTemperature,
     windSpeed: current.windspeed,
+    windGusts: hourly.windgusts_10m?.[hourIndex] ?? null,
     windDirection,
+    windBearing: current.winddirection ?? null,
     precipProbability,
     precipitation,
+    humidity: hourly.relative_humidity_2m?.[hourIndex] ?? null,
+    weatherCode: current.weathercode,
+    uvIndex: hourly.uv_index?.[hourIndex] ?? null,
+    visibility: hourly.visibility?.[hourIndex] ?? null,
+    ...readAirQualityAt(data, current.time),
+    ...readRoadAt(data, units, current.time),
+    daylight: isDaylightAt(data, current.time),
+    lighting: readLightingAt(data, current.time),
     summary: describeWeatherCode(current.weathercode),
     units,
     precipitationThreshold: units.precipitation === "in" ? 0.03 : 0.8,
@@ -214,8 +380,9 @@ const buildSnapshotForTime = (data, units, targetTime) => {
   const hourly = data.hourly ?? {};
 
   const weatherCode = hourly.weathercode?.[hourIndex] ?? current.weathercode;
+  const windBearing = hourly.winddirection_10m?.[hourIndex] ?? current.winddirection ?? null;
 
-  const direction = toCardinalDirection(current.winddirection);
+  const direction = toCardinalDirection(windBearing);
   const windDirection = direction ? `(${direction})` : "";
 
   return {
@@ -224,9 +391,19 @@ const buildSnapshotForTime = (data, units, targetTime) => {
     feelsLike:
       hourly.apparent_temperature?.[hourIndex] ?? current.temperature,
     windSpeed: hourly.windspeed_10m?.[hourIndex] ?? current.windspeed,
+    windGusts: hourly.windgusts_10m?.[hourIndex] ?? null,
     windDirection,
+    windBearing,
     precipProbability: hourly.precipitation_probability?.[hourIndex] ?? 0,
     precipitation: hourly.precipitation?.[hourIndex] ?? 0,
+    humidity: hourly.relative_humidity_2m?.[hourIndex] ?? null,
+    weatherCode,
+    uvIndex: hourly.uv_index?.[hourIndex] ?? null,
+    visibility: hourly.visibility?.[hourIndex] ?? null,
+    ...readAirQualityAt(data, times[hourIndex] ?? current.time),
+    ...readRoadAt(data, units, times[hourIndex] ?? current.time),
+    daylight: isDaylightAt(data, times[hourIndex] ?? current.time),
+    lighting: readLightingAt(data, times[hourIndex] ?? current.time),
     summary: describeWeatherCode(weatherCode),
     units,
     precipitationThreshold: units.precipitation === "in" ? 0.03 : 0.8,
@@ -235,107 +412,35 @@ const buildSnapshotForTime = (data, units, targetTime) => {
 
 const getDateKey = (time) => time?.split("T")[0];
 
-const buildRecommendation = (current) => {
-  const essentials = [];
-  const extras = [];
-  const alerts = [];
-
-  const temp = current.feelsLike;
-  const precipProb = current.precipProbability;
-  const windSpeed = current.windSpeed;
-  const precipLikely = precipProb >= 40 || current.precipitation >= current.precipitationThreshold;
-
-  if (temp <= 32) {
-    alerts.push("Freezing conditions - use caution");
-  }
-
-  if (precipLikely) {
-    alerts.push("Wet roads expected");
-  }
-
-  if (windSpeed >= 20) {
-    alerts.push("Strong winds - reduce speed");
-  }
-
-  if (temp <= 40) {
-    essentials.push("Base layer");
-    essentials.push("Arm warmers");
-    essentials.push("Leg warmers");
-    essentials.push("Full-finger gloves");
-    essentials.push("Neck gaiter");
-    extras.push("Vest for warm-up");
-  } else if (temp <= 50) {
-    essentials.push("Arm warmers");
-    essentials.push("Leg warmers or knee warmers");
-    essentials.push("Long-finger gloves");
-  } else if (temp <= 60) {
-    essentials.push("Arm warmers");
-    essentials.push("Knee warmers");
-  } else if (temp >= 80) {
-    essentials.push("Sunscreen");
-    extras.push("Extra water");
-    extras.push("Electrolytes");
-  }
-
-  if (precipLikely) {
-    essentials.push("Waterproof jacket");
-    extras.push("Overshoes");
-  } else if (precipProb >= 20) {
-    essentials.push("Packable jacket");
-    extras.push("Rain cape");
-  }
-
-  if (windSpeed >= 15) {
-    essentials.push("Windbreaker");
-  }
-
-  extras.push("Spare tube");
-  extras.push("Mini pump/CO2");
-  extras.push("Multi-tool");
-
-  if (precipLikely) {
-    extras.push("Fenders");
-  }
-
-  if (temp >= 75) {
-    extras.push("Extra water bottle");
-  }
+const withRideFeel = (snapshot, speed) => ({
+  ...snapshot,
+  rideFeel: assessRideFeel({
+    temperature: snapshot.temperature,
+    windSpeed: snapshot.windSpeed,
+    humidity: snapshot.humidity,
+    speed,
+    units: snapshot.units,
+  }),
+});
 
-  return { essentials, extras, alerts };
-};
+// Snapshots without a rideFeel are dressed for the profile's typical speed.
+const buildRecommendation = (current, profile = getDefaultProfile(), ruleSet) => {
+  const thresholds = {
+    ...buildThresholds(profile, current.units),
+    precipitationThreshold: current.precipitationThreshold,
+  };
+  const riding = current.rideFeel ? current : withRideFeel(current, getProfileSpeed(profile, current.units));
 
-const buildConfidence = (data) => {
-  const probabilities = data.hourly?.precipitation_probability ?? [];
-  if (!probabilities.length) {
-    return "medium";
-  }
-  const max = Math.max(...probabilities.filter((value) => Number.isFinite(value)));
-  if (!Number.isFinite(max)) {
-    return "medium";
-  }
-  if (max >= 70) {
-    return "low";
-  }
-  if (max >= 40) {
-    return "medium";
-  }
-  return "high";
+  return evaluateRules({
+    ruleSet,
+    facts: buildFacts(riding, thresholds),
+    thresholds,
+    profile,
+  });
 };
 
-const buildRoadStatus = (data, units) => {
-  const precipitation = data.daily?.precipitation_sum?.[0];
-  if (!Number.isFinite(precipitation)) {
-    return "unknown";
-  }
-  const wetThreshold = units.precipitation === "in" ? 0.05 : 1.5;
-  if (precipitation >= wetThreshold) {
-    return "wet";
-  }
-  if (precipitation > 0) {
-    return "damp";
-  }
-  return "dry";
-};
+const buildConfidence = ({ data, units, start, durationMinutes, ensemble = null }) =>
+  assessConfidence({ data, units, start, end: addMinutes(start, durationMinutes), ensemble });
 
 const promptField = async (rl, label, value) => {
   const suffix = value ? ` (${value})` : "";
@@ -371,7 +476,16 @@ const promptForLocation = async (current) => {
   }
 };
 
-const buildHourlyBreakdown = (data, nowTime) => {
+// One snapshot per forecast hour overlapping the ride; the hour containing start always counts.
+const buildRideSnapshots = (data, units, start, end) => {
+  const firstHour = `${start.slice(0, 13)}:00`;
+  const times = (data.hourly?.time ?? []).filter((time) => time >= firstHour && time < end);
+  return times.length
+    ? times.map((time) => buildSnapshotForTime(data, units, time))
+    : [buildSnapshotForTime(data, units, start)];
+};
+
+const buildHourlyBreakdown = (data, nowTime, units, weights) => {
   const times = data.hourly?.time ?? [];
   const dateKey = getDateKey(nowTime ?? data.current_weather?.time ?? times[0]);
 
@@ -409,61 +523,89 @@ const buildHourlyBreakdown = (data, nowTime) => {
       windSpeed: data.hourly?.windspeed_10m?.[index],
       precipitation: data.hourly?.precipitation?.[index],
       precipProbability: data.hourly?.precipitation_probability?.[index],
+      score: Math.round(scoreHour(buildSnapshotForTime(data, units, time), units, weights)),
     });
 
     return entries;
   }, []);
 };
 
-const buildDaylight = (data) => {
-  const sunrise = data.daily?.sunrise?.[0];
-  const sunset = data.daily?.sunset?.[0];
+const buildDaylight = (data, dateKey) => {
+  const dayIndex = dateKey ? Math.max(0, data.daily?.time?.indexOf(dateKey) ?? 0) : 0;
+  const sunrise = data.daily?.sunrise?.[dayIndex];
+  const sunset = data.daily?.sunset?.[dayIndex];
 
   if (!sunrise || !sunset) {
     return null;
   }
 
-  const now = Date.parse(data.current_weather?.time ?? "");
-  const sunsetMs = Date.parse(sunset);
-  const msUntilSunset = sunsetMs - now;
-  const warning =
-    Number.isFinite(msUntilSunset) && msUntilSunset >= 0 && msUntilSunset <= 60 * 60 * 1000
-      ? "Sunset within the hour — bring lights"
-      : null;
+  const { dawn, dusk } = buildCivilTwilight({
+    dateKey: data.daily.time?.[dayIndex],
+    sunrise,
+    sunset,
+    latitude: data.latitude,
+    longitude: data.longitude,
+  });
 
-  return { sunrise, sunset, warning };
+  return { dawn, sunrise, sunset, dusk };
 };
 
 const buildPayload = ({
   mode,
   location,
   current,
+  requestedTime,
+  safety,
+  score,
   recommendation,
   tips,
   daylight,
+  lighting,
   hourly,
   confidence,
-  roadStatus,
+  confidenceDetail,
+  rideFeel,
+  wind,
+  route,
+  profile,
+  stale,
 }) => ({
   mode,
   location: location.displayName,
+  profile: profile?.name ?? null,
   time: current.time,
+  ...(requestedTime ? { requestedTime } : {}),
+  ...(safety ? { safety } : {}),
   summary: current.summary,
   temperature: current.temperature,
   feelsLike: current.feelsLike,
+  ...(rideFeel ? { rideFeel } : {}),
   windSpeed: current.windSpeed,
+  windGusts: current.windGusts,
   windDirection: current.windDirection,
   precipProbability: current.precipProbability,
   precipitation: current.precipitation,
+  humidity: current.humidity,
+  uvIndex: current.uvIndex,
+  visibility: current.visibility,
+  aqi: current.aqi,
+  pm25: current.pm25,
+  ...(score ? { score: score.score, rating: score.rating, scoreFactors: score.factors } : {}),
   units: current.units,
   wear: recommendation?.essentials ?? [],
   bring: recommendation?.extras ?? [],
   alerts: recommendation?.alerts ?? [],
   tips: tips ?? [],
   daylight,
+  ...(lighting ? { lighting } : {}),
   hourly,
   confidence,
-  roadStatus,
+  ...(confidenceDetail ? { confidenceDetail } : {}),
+  roadStatus: current.roadStatus,
+  roadReason: current.roadReason,
+  ...(wind ? { wind } : {}),
+  ...(route ? { route } : {}),
+  ...(stale ? { stale } : {}),
 });
 
 const buildListPayload = ({ mode, recommendation }) => {
@@ -473,20 +615,55 @@ const buildListPayload = ({ mode, recommendation }) => {
   if (mode === "gear") {
     return { mode, bring: recommendation?.extras ?? [] };
   }
+  if (mode === "explain") {
+    return {
+      mode,
+      wear: recommendation?.essentials ?? [],
+      bring: recommendation?.extras ?? [],
+      alerts: recommendation?.alerts ?? [],
+      sources: recommendation?.sources ?? [],
+      unmatched: recommendation?.unmatched ?? [],
+    };
+  }
   return { mode };
 };
 
-const resolveLocation = async ({ locationInput, spinner, theme }) => {
-  const cached = await loadLocationCache({ query: locationInput });
+const buildCoordinateLocation = ({ latitude, longitude }) => ({
+  name: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
+  latitude,
+  longitude,
+  displayName: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
+});
+
+const resolveLocation = async ({ locationInput, spinner, theme, offline = false }) => {
+  const place = await findPlace(locationInput);
+  if (place) {
+    return { location: place, cacheHit: true, place: true };
+  }
+
+  const coordinates = parseCoordinates(locationInput);
+  if (coordinates) {
+    return { location: buildCoordinateLocation(coordinates), cacheHit: true, place: false };
+  }
+
+  const provider = await resolveProvider();
+  const cached = provider.cacheable
+    ? await loadLocationCache({ query: locationInput, allowStale: offline })
+    : { hit: false };
   if (cached.hit) {
     return { location: cached.data, cacheHit: true };
   }
 
   try {
+    if (offline && !provider.local) {
+      throw new Error(`'${locationInput}' isn't a saved place or cached location, so it can't be found offline.`);
+    }
     const location = await geocodeLocation(locationInput);
-    try {
-      await saveLocationCache({ query: locationInput, data: location });
-    } catch (cacheError) {
+    if (provider.cacheable) {
+      try {
+        await saveLocationCache({ query: locationInput, data: location });
+      } catch (cacheError) {
+      }
     }
     return { location, cacheHit: false };
   } catch (error) {
@@ -497,38 +674,129 @@ const resolveLocation = async ({ locationInput, spinner, theme }) => {
   }
 };
 
-const resolveWeather = async ({ location, units, spinner, theme, ttlMs }) => {
-  try {
-    const cached = await loadCache({
-      latitude: location.latitude,
-      longitude: location.longitude,
-      units,
-      ttlMs,
-    });
+const resolveLocationOption = async ({ options, config, spinner, theme }) => {
+  let locationInput = options.location ?? config.location;
+  if (!locationInput && options.interactive) {
+    locationInput = await promptForLocation(config.location);
+    if (locationInput) {
+      await updateConfig({ location: locationInput });
+    }
+  }
+  if (!locationInput) {
+    throw markBadInput(new Error("Location is required. Use --location or bike config set location."));
+  }
 
-    if (cached.hit) {
+  if (spinner) {
+    spinner.start("Finding location...");
+  }
+  const { location, cacheHit, place } = await resolveLocation({
+    locationInput,
+    spinner,
+    theme,
+    offline: options.offline,
+  });
+  if (spinner) {
+    spinner.succeed(
+      place
+        ? `Using saved place ${locationInput.toLowerCase()} (${location.displayName})`
+        : cacheHit
+        ? `Using cached location (${location.displayName})`
+        : `Found ${location.displayName}`
+    );
+    spinner.start("Checking cache...");
+  }
+  return location;
+};
+
+const formatCacheAge = (ageMs) => formatForecastAge(Math.round(ageMs / 60000));
+
+// Expired cache entries are only served when the network can't be used. The cached
+// current_weather is hours old by then, so rebuild it from the hourly series for the
+// hour it is now at the location.
+const useStaleWeather = ({ data: weather, ageMs, fetchedAt }, location) => {
+  const hourly = weather.data.hourly ?? {};
+  const times = hourly.time ?? [];
+  const nowTime = toLocalDateTime(new Date(), weather.data.timezone);
+
+  if (!times.length || nowTime > `${times[times.length - 1].slice(0, 13)}:59`) {
+    throw new Error(
+      `Cached weather for ${location.displayName} (${formatCacheAge(ageMs)}) no longer covers the current hour.`
+    );
+  }
+
+  return {
+    ...weather,
+    data: { ...weather.data, current_weather: buildCurrentFromHourly(hourly, nowTime) },
+    stale: {
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      ageMinutes: Math.round(ageMs / 60000),
+    },
+  };
+};
+
+const resolveWeather = async ({ location, units, spinner, theme, ttlMs, offline = false }) => {
+  try {
+    const provider = await resolveProvider();
+    const cached = provider.cacheable
+      ? await loadCache({
+          latitude: location.latitude,
+          longitude: location.longitude,
+          units,
+          provider: provider.name,
+          ttlMs,
+          allowStale: true,
+        })
+      : { hit: false };
+
+    if (cached.hit && !cached.stale) {
       if (spinner) {
         spinner.succeed("Using cached weather");
       }
       return cached.data;
     }
 
+    if (offline && !provider.local) {
+      if (!cached.hit) {
+        throw new Error(`No cached weather for ${location.displayName}. Run once without --offline first.`);
+      }
+      const weather = useStaleWeather(cached, location);
+      if (spinner) {
+        spinner.warn(`Offline — using forecast from ${formatCacheAge(cached.ageMs)}`);
+      }
+      return weather;
+    }
+
     if (spinner) {
-      spinner.start("Fetching weather...");
+      spinner.start(`Fetching weather from ${provider.label}...`);
+    }
+    let weather;
+    try {
+      weather = await fetchForecast(location, units);
+    } catch (fetchError) {
+      if (!cached.hit) {
+        throw fetchError;
+      }
+      const staleWeather = useStaleWeather(cached, location);
+      if (spinner) {
+        spinner.warn(`${fetchError.message} — using forecast from ${formatCacheAge(cached.ageMs)}`);
+      }
+      return staleWeather;
     }
-    const weather = await fetchWeather(location.latitude, location.longitude, units);
     if (spinner) {
       spinner.succeed("Weather synced");
     }
 
-    try {
-      await saveCache({
-        latitude: location.latitude,
-        longitude: location.longitude,
-        units,
-        data: weather,
-      });
-    } catch (cacheError) {
+    if (provider.cacheable) {
+      try {
+        await saveCache({
+          latitude: location.latitude,
+          longitude: location.longitude,
+          units,
+          provider: provider.name,
+          data: weather,
+        });
+      } catch (cacheError) {
+      }
     }
 
     return weather;
@@ -540,6 +808,253 @@ const resolveWeather = async ({ location, units, spinner, theme, ttlMs }) => {
   }
 };
 
+const ROUTE_SEGMENT_KM = 10;
+const MAX_ROUTE_SEGMENTS = 8;
+const MAX_ROUTE_FILE_CHECKPOINTS = 12;
+const DEFAULT_ROUTE_SPEED_KPH = 20;
+
+const resolveRouteSpeedKph = (speed, units) => {
+  if (speed === undefined || speed === null || speed === "") {
+    return DEFAULT_ROUTE_SPEED_KPH;
+  }
+  const value = Number(speed);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error("Speed must be a positive number.");
+  }
+  return units === "us" ? value * KM_PER_MILE : value;
+};
+
+const loadSyncedRideSpeed = async () => {
+  try {
+    return getAverageRideSpeed(await loadData());
+  } catch (error) {
+    return null;
+  }
+};
+
+// Speed for the on-the-bike feel, in the report's wind units: --speed, then the average of
+// recently synced rides, then the profile's typical speed.
+const resolveRiderSpeed = async ({ speedOption, profile, units, weatherUnits }) => {
+  if (speedOption !== undefined) {
+    const kph = resolveRouteSpeedKph(speedOption, units);
+    return { speed: units === "us" ? kph / KM_PER_MILE : kph, source: "--speed" };
+  }
+  const syncedMps = await loadSyncedRideSpeed();
+  if (syncedMps) {
+    return { speed: metersPerSecondTo(syncedMps, units), source: "synced rides" };
+  }
+  return { speed: getProfileSpeed(profile, weatherUnits), source: "profile" };
+};
+
+const maxKnown = (values) => {
+  const known = values.filter(Number.isFinite);
+  return known.length ? Math.max(...known) : null;
+};
+
+const minKnown = (values) => {
+  const known = values.filter(Number.isFinite);
+  return known.length ? Math.min(...known) : null;
+};
+
+const pickWorstRoad = (snapshots) => {
+  const worst = snapshots.reduce((top, snapshot) =>
+    rankRoadStatus(snapshot.roadStatus) > rankRoadStatus(top.roadStatus) ? snapshot : top
+  );
+  return { roadStatus: worst.roadStatus, roadReason: worst.roadReason };
+};
+
+// Ensemble data only refines confidence, so failures are reported but never fatal.
+const resolveEnsemble = async ({ location, units, spinner, offline = false }) => {
+  if (offline) {
+    return { ensemble: null, error: "Not fetched while offline" };
+  }
+  if (spinner) {
+    spinner.start("Fetching ensemble forecast...");
+  }
+  try {
+    const { data } = await fetchEnsemble(location, units);
+    if (spinner) {
+      spinner.succeed("Ensemble forecast synced");
+    }
+    return { ensemble: data, error: null };
+  } catch (error) {
+    if (spinner) {
+      spinner.warn(`Ensemble forecast unavailable: ${error.message}`);
+    }
+    return { ensemble: null, error: error.message };
+  }
+};
+
+const buildWorstCaseSnapshot = (snapshots) => {
+  const wettest = snapshots.reduce((worst, snapshot) =>
+    snapshot.precipProbability > worst.precipProbability ? snapshot : worst
+  );
+
+  return {
+    ...wettest,
+    temperature: Math.min(...snapshots.map((snapshot) => snapshot.temperature)),
+    feelsLike: Math.min(...snapshots.map((snapshot) => snapshot.feelsLike)),
+    windSpeed: Math.max(...snapshots.map((snapshot) => snapshot.windSpeed)),
+    windGusts: maxKnown(snapshots.map((snapshot) => snapshot.windGusts)),
+    humidity: maxKnown(snapshots.map((snapshot) => snapshot.humidity)),
+    precipitation: Math.max(...snapshots.map((snapshot) => snapshot.precipitation)),
+    uvIndex: maxKnown(snapshots.map((snapshot) => snapshot.uvIndex)),
+    visibility: minKnown(snapshots.map((snapshot) => snapshot.visibility)),
+    aqi: maxKnown(snapshots.map((snapshot) => snapshot.aqi)),
+    pm25: maxKnown(snapshots.map((snapshot) => snapshot.pm25)),
+    daylight: snapshots.some((snapshot) => snapshot.daylight === false) ? false : wettest.daylight,
+    lighting: snapshots
+      .map((snapshot) => snapshot.lighting)
+      .reduce((darkest, level) => (rankLighting(level) > rankLighting(darkest) ? level : darkest)),
+    ...pickWorstRoad(snapshots),
+  };
+};
+
+const forecastCheckpoints = ({ checkpoints, units, ttlMs, theme, offline }) =>
+  Promise.all(
+    checkpoints.map((checkpoint) =>
+      resolveWeather({ location: checkpoint, units, spinner: null, theme, ttlMs, offline })
+    )
+  );
+
+const buildRouteSegments = ({ checkpoints, forecasts, departure, minutesPerKm }) => {
+  const snapshots = [];
+  const segments = checkpoints.map((checkpoint, index) => {
+    const eta = addMinutes(departure, checkpoint.distanceKm * minutesPerKm);
+    const weather = forecasts[index];
+    const snapshot = buildSnapshotForTime(weather.data, weather.units, eta);
+    const distanceUnit = weather.units.distance;
+    const next = checkpoints[index + 1];
+    const previous = checkpoints[index - 1];
+    const heading = next
+      ? bearingDegrees(checkpoint, next)
+      : previous
+      ? bearingDegrees(previous, checkpoint)
+      : null;
+    const wind = windComponents({
+      windSpeed: snapshot.windSpeed,
+      windFrom: snapshot.windBearing,
+      heading,
+    });
+    snapshots.push(snapshot);
+
+    return {
+      index,
+      latitude: Number(checkpoint.latitude.toFixed(4)),
+      longitude: Number(checkpoint.longitude.toFixed(4)),
+      distance: Number(kmToDisplayDistance(checkpoint.distanceKm, distanceUnit).toFixed(1)),
+      elevation: Number.isFinite(checkpoint.elevation)
+        ? Math.round(metersToDisplayElevation(checkpoint.elevation, distanceUnit))
+        : null,
+      eta,
+      forecastTime: snapshot.time,
+      temperature: snapshot.temperature,
+      feelsLike: snapshot.feelsLike,
+      windSpeed: snapshot.windSpeed,
+      windDirection: toCardinalDirection(snapshot.windBearing),
+      heading: Number.isFinite(heading) ? Math.round(heading) : null,
+      headwind: wind.headwind,
+      crosswind: wind.crosswind,
+      precipProbability: snapshot.precipProbability,
+      precipitation: snapshot.precipitation,
+      summary: snapshot.summary,
+    };
+  });
+
+  return { segments, snapshots };
+};
+
+const buildRouteHighlights = (segments, snapshots, units, profile) => {
+  const highlights = [];
+  const distanceUnit = units.distance ?? "km";
+  const describePoint = (segment) =>
+    `${segment.distance.toFixed(1)} ${distanceUnit} (${segment.eta.split("T")[1]})`;
+
+  const wetIndexes = snapshots
+    .map((snapshot, index) =>
+      snapshot.precipProbability >= buildThresholds(profile, units).rainLikely ||
+      snapshot.precipitation >= snapshot.precipitationThreshold
+        ? index
+        : -1
+    )
+    .filter((index) => index !== -1);
+
+  if (wetIndexes.length) {
+    const first = segments[wetIndexes[0]];
+    const last = segments[wetIndexes[wetIndexes.length - 1]];
+    highlights.push(
+      wetIndexes.length === 1
+        ? `Rain likely at ${describePoint(first)} — ${first.summary}`
+        : `Rain likely from ${describePoint(first)} to ${describePoint(last)}`
+    );
+  }
+
+  const coldThreshold = buildThresholds(profile, units).cold;
+  const coldest = segments.reduce((worst, segment) =>
+    segment.feelsLike < worst.feelsLike ? segment : worst
+  );
+  if (coldest.feelsLike <= coldThreshold) {
+    highlights.push(
+      `Coldest at ${describePoint(coldest)}: feels ${Math.round(coldest.feelsLike)}${units.temperature}`
+    );
+  }
+
+  return highlights;
+};
+
+const buildRouteFileForecast = async ({ routeFile, weather, departure, options, units, ttlMs, theme, profile }) => {
+  const track = buildTrackProfile(routeFile.points);
+  const checkpoints = sampleCheckpoints(track, ROUTE_SEGMENT_KM, MAX_ROUTE_FILE_CHECKPOINTS);
+  const forecasts = [
+    weather,
+    ...(await forecastCheckpoints({
+      checkpoints: checkpoints.slice(1),
+      units,
+      ttlMs,
+      theme,
+      offline: options.offline,
+    })),
+  ];
+
+  const durationOverride = normalizeDuration(options.duration);
+  const minutesPerKm = durationOverride && track.distanceKm > 0
+    ? durationOverride / track.distanceKm
+    : 60 / resolveRouteSpeedKph(options.speed, units);
+  const durationMinutes = Math.round(track.distanceKm * minutesPerKm);
+
+  const { segments, snapshots } = buildRouteSegments({
+    checkpoints,
+    forecasts,
+    departure,
+    minutesPerKm,
+  });
+  const [firstPoint] = routeFile.points;
+  const lastPoint = routeFile.points[routeFile.points.length - 1];
+  const roundTrip = haversineKm(firstPoint, lastPoint) <= Math.max(1, track.distanceKm * 0.1);
+
+  return {
+    summary: {
+      name: routeFile.name,
+      format: routeFile.format,
+      distance: Number(kmToDisplayDistance(track.distanceKm, weather.units.distance).toFixed(1)),
+      climb: Math.round(metersToDisplayElevation(track.climbM, weather.units.distance)),
+      descent: Math.round(metersToDisplayElevation(track.descentM, weather.units.distance)),
+      departure,
+      arrival: addMinutes(departure, durationMinutes),
+      durationMinutes,
+      segments,
+      highlights: buildRouteHighlights(segments, snapshots, weather.units, profile),
+      wind: analyzeRouteWind({ segments, roundTrip, windUnit: weather.units.windSpeed }),
+    },
+    worst: buildWorstCaseSnapshot(snapshots),
+    snapshots,
+  };
+};
+
+// Wind for one leg of an out-and-back ride: the start hour for the way out, the turnaround
+// hour for the way back.
+const readLegWind = (snapshot) => ({ windSpeed: snapshot.windSpeed, windFrom: snapshot.windBearing });
+
 const runConditions = async ({
   mode,
   options,
@@ -547,10 +1062,13 @@ const runConditions = async ({
   includeHourly,
   renderMode,
   onlyLists = false,
+  verdictExitCode = false,
+  upcomingTime = false,
+  payloadOnly = false,
 }) => {
   const config = await loadConfig();
   const units = normalizeUnits(options.units ?? config.units);
-  const format = normalizeFormat(options.format);
+  const format = normalizeFormat(options.format, REPORT_FORMATS);
   const colorEnabled = options.color && format === "text";
   const emojiEnabled = options.emoji;
   const theme = createTheme({ colorEnabled });
@@ -558,54 +1076,155 @@ const runConditions = async ({
     ? null
     : ora({ text: "Finding location...", color: "cyan" });
 
-  let locationInput = options.location ?? config.location;
-  if (!locationInput && options.interactive) {
-    locationInput = await promptForLocation(config.location);
-    if (locationInput) {
-      await updateConfig({ location: locationInput });
+  const profile = await resolveProfile(options.profile ?? config.profile);
+  const routeFile = options.routeFile ? await loadRouteFile(options.routeFile) : null;
+  const heading = parseHeading(options.heading);
+  let location;
+
+  if (routeFile) {
+    const [firstPoint] = routeFile.points;
+    location = {
+      latitude: firstPoint.latitude,
+      longitude: firstPoint.longitude,
+      displayName: routeFile.name,
+    };
+    if (spinner) {
+      spinner.succeed(`Loaded ${routeFile.format.toUpperCase()} route (${routeFile.name})`);
+      spinner.start("Checking cache...");
     }
-  }
-  if (!locationInput) {
-    throw new Error("Location is required. Use --location or bike config set location.");
-  }
-
-  if (spinner) {
-    spinner.start("Finding location...");
-  }
-  const { location, cacheHit } = await resolveLocation({ locationInput, spinner, theme });
-  if (spinner) {
-    spinner.succeed(cacheHit ? `Using cached location (${location.displayName})` : `Found ${location.displayName}`);
-    spinner.start("Checking cache...");
+  } else {
+    location = await resolveLocationOption({ options, config, spinner, theme });
   }
 
   const ttlOverride = normalizeTtl(options.ttl);
   const ttlMs = ttlOverride ? ttlOverride * 60 * 1000 : undefined;
-  const weather = await resolveWeather({ location, units, spinner, theme, ttlMs });
+  const weather = await resolveWeather({
+    location,
+    units,
+    spinner,
+    theme,
+    ttlMs,
+    offline: options.offline,
+  });
 
-  const timeInput = parseTimeInput(options.time, getDateKey(weather.data.current_weather?.time));
-  const current = timeInput
-    ? buildSnapshotForTime(weather.data, weather.units, timeInput)
-    : buildCurrentSnapshot(weather.data, weather.units);
+  const timeInput = readTimeOption(options.time, weather.data, { upcoming: upcomingTime });
+  const riderSpeed = await resolveRiderSpeed({
+    speedOption: options.speed,
+    profile,
+    units,
+    weatherUnits: weather.units,
+  });
+  const current = withRideFeel(
+    timeInput || weather.stale
+      ? buildSnapshotForTime(weather.data, weather.units, timeInput ?? weather.data.current_weather.time)
+      : buildCurrentSnapshot(weather.data, weather.units),
+    riderSpeed.speed
+  );
+
+  if (routeFile && spinner) {
+    spinner.start("Forecasting route checkpoints...");
+  }
+  const route = routeFile
+    ? await buildRouteFileForecast({
+        routeFile,
+        weather,
+        departure: timeInput ?? current.time,
+        options,
+        units,
+        ttlMs,
+        theme,
+        profile,
+      })
+    : null;
+  if (routeFile && spinner) {
+    spinner.succeed(`Forecast ${route.summary.segments.length} checkpoints`);
+  }
 
-  const recommendation = buildRecommendation(current);
-  const tips = buildBikeTips(current);
-  const hourly = includeHourly ? buildHourlyBreakdown(weather.data, current.time) : [];
-  const daylight = buildDaylight(weather.data);
-  const confidence = buildConfidence(weather.data);
-  const roadStatus = buildRoadStatus(weather.data, weather.units);
+  const rideStart = route ? route.summary.departure : timeInput ?? current.time;
+  const rideMinutes = route
+    ? route.summary.durationMinutes
+    : normalizeDuration(options.duration) ?? DEFAULT_WINDOW_MINUTES;
+  const rideEnd = addMinutes(rideStart, rideMinutes);
+  const lighting = planRideLighting({
+    getDaylight: (dateKey) => findDaylightFor(weather.data, dateKey),
+    start: rideStart,
+    end: rideEnd,
+  });
+  const safety = assessSafety({
+    hours: route ? route.snapshots : buildRideSnapshots(weather.data, weather.units, rideStart, rideEnd),
+    profile,
+  });
+  if (verdictExitCode) {
+    process.exitCode = VERDICT_EXIT_CODES[safety.verdict];
+  }
 
+  const { ruleSet } = await loadRules();
+  const conditions = route ? withRideFeel(route.worst, riderSpeed.speed) : current;
+  const recommendation = buildRecommendation(
+    lighting ? { ...conditions, lighting: lighting.condition } : conditions,
+    profile,
+    ruleSet
+  );
+  const tips = buildBikeTips(current, profile);
+  const hourly = includeHourly
+    ? buildHourlyBreakdown(weather.data, current.time, weather.units, profile.weights)
+    : [];
+  const score = explainScore(current, weather.units, profile.weights);
+  const daylight = buildDaylight(weather.data, getDateKey(rideStart));
+  const ensemble = options.ensemble
+    ? await resolveEnsemble({ location, units, spinner, offline: options.offline })
+    : null;
+  const { level: confidence, ...confidenceDetail } = buildConfidence({
+    data: weather.data,
+    units: weather.units,
+    start: rideStart,
+    durationMinutes: rideMinutes,
+    ensemble: ensemble?.ensemble,
+  });
+  const wind = route
+    ? route.summary.wind
+    : heading !== null
+    ? analyzeOutAndBack({
+        heading,
+        out: readLegWind(current),
+        back: readLegWind(
+          buildSnapshotForTime(weather.data, weather.units, addMinutes(rideStart, Math.round(rideMinutes / 2)))
+        ),
+        windUnit: current.units.windSpeed,
+      })
+    : null;
+
+  const requestedTime = timeInput
+    ? { input: options.time, time: timeInput, timezone: weather.data.timezone ?? null }
+    : null;
   const payload = buildPayload({
     mode,
     location,
     current,
+    requestedTime,
+    safety,
+    score,
     recommendation,
     tips,
-    daylight,
+    daylight: daylight ? { ...daylight, warning: lighting?.notice ?? null } : null,
+    lighting,
     hourly: includeHourly ? hourly : [],
     confidence,
-    roadStatus,
+    confidenceDetail: {
+      ...confidenceDetail,
+      ...(ensemble?.error ? { ensembleError: ensemble.error } : {}),
+    },
+    rideFeel: current.rideFeel ? { ...current.rideFeel, speedSource: riderSpeed.source } : null,
+    wind,
+    route: route?.summary,
+    profile,
+    stale: weather.stale,
   });
 
+  if (payloadOnly) {
+    return payload;
+  }
+
   if (format === "json") {
     if (onlyLists) {
       return renderJson(buildListPayload({ mode, recommendation }));
@@ -614,7 +1233,15 @@ const runConditions = async ({
   }
 
   if (format === "csv") {
-    return renderCsv(payload);
+    return renderCsv(onlyLists ? buildListPayload({ mode, recommendation }) : payload);
+  }
+
+  if (isDocumentFormat(format)) {
+    return renderReportDocument({
+      payload: onlyLists ? buildListPayload({ mode, recommendation }) : payload,
+      title,
+      format,
+    });
   }
 
   if (onlyLists) {
@@ -624,12 +1251,25 @@ const runConditions = async ({
   return renderMode({
     location,
     current,
+    requestedTime,
+    safety,
+    score,
+    explain: options.explain,
     recommendation,
     tips,
-    daylight,
+    daylight: payload.daylight,
+    lighting,
     hourly: includeHourly ? hourly : [],
     confidence,
-    roadStatus,
+    confidenceDetail: payload.confidenceDetail,
+    rideFeel: payload.rideFeel,
+    gustAlert: buildThresholds(profile, current.units).gustAlert,
+    roadStatus: current.roadStatus,
+    roadReason: current.roadReason,
+    wind,
+    route: route?.summary,
+    profile,
+    stale: weather.stale,
     emojiEnabled,
     theme,
     quiet: options.quiet,
@@ -637,15 +1277,1136 @@ const runConditions = async ({
   });
 };
 
-const addSharedOptions = (command) =>
-  command
-    .option("-l, --location <location>", "Location to check")
-    .option("--time <time>", "Time to plan for", "now")
+const buildRoutePlanPayload = ({ start, end, distanceKm, departure, arrival, durationMinutes, segments, highlights, wind, recommendation, profile, units, stale }) => ({
+  mode: "route-plan",
+  profile: profile.name,
+  start: start.displayName,
+  end: end.displayName,
+  distance: Number(kmToDisplayDistance(distanceKm, units.distance).toFixed(1)),
+  departure,
+  arrival,
+  durationMinutes,
+  units,
+  segments,
+  highlights,
+  wind,
+  wear: recommendation.essentials,
+  bring: recommendation.extras,
+  alerts: recommendation.alerts,
+  ...(stale ? { stale } : {}),
+});
+
+const oldestStale = (forecasts) =>
+  forecasts.reduce(
+    (oldest, weather) =>
+      weather.stale && (!oldest || weather.stale.ageMinutes > oldest.ageMinutes) ? weather.stale : oldest,
+    null
+  );
+
+const runRoutePlan = async ({ startInput, endInput, options }) => {
+  const config = await loadConfig();
+  const units = normalizeUnits(options.units ?? config.units);
+  const format = normalizeFormat(options.format, REPORT_FORMATS);
+  const colorEnabled = options.color && format === "text";
+  const theme = createTheme({ colorEnabled });
+  const spinner = options.quiet || format !== "text" || !process.stdout.isTTY
+    ? null
+    : ora({ text: "Finding route...", color: "cyan" });
+
+  if (spinner) {
+    spinner.start("Finding route...");
+  }
+  const profile = await resolveProfile(options.profile ?? config.profile);
+  const { location: start } = await resolveLocation({
+    locationInput: startInput,
+    spinner,
+    theme,
+    offline: options.offline,
+  });
+  const { location: end } = await resolveLocation({
+    locationInput: endInput,
+    spinner,
+    theme,
+    offline: options.offline,
+  });
+  if (spinner) {
+    spinner.succeed(`Routing ${start.displayName} → ${end.displayName}`);
+  }
+
+  const distanceKm = haversineKm(start, end);
+  const segmentCount = Math.min(
+    MAX_ROUTE_SEGMENTS,
+    Math.max(1, Math.ceil(distanceKm / ROUTE_SEGMENT_KM))
+  );
+  const checkpoints = interpolatePoints(start, end, segmentCount).map((point) => ({
+    ...point,
+    distanceKm: distanceKm * point.fraction,
+  }));
+
+  const ttlOverride = normalizeTtl(options.ttl);
+  const ttlMs = ttlOverride ? ttlOverride * 60 * 1000 : undefined;
+  if (spinner) {
+    spinner.start(`Fetching weather for ${checkpoints.length} points...`);
+  }
+  const forecasts = await forecastCheckpoints({
+    checkpoints,
+    units,
+    ttlMs,
+    theme,
+    offline: options.offline,
+  }).catch((error) => {
+    if (spinner) {
+      spinner.fail(theme.bad(error.message));
+    }
+    throw error;
+  });
+  if (spinner) {
+    spinner.succeed("Weather synced");
+  }
+
+  const firstWeather = forecasts[0].data;
+  const departure =
+    readTimeOption(options.time, firstWeather) ??
+    firstWeather.current_weather?.time;
+  const durationMinutes =
+    normalizeDuration(options.duration) ??
+    Math.round((distanceKm / resolveRouteSpeedKph(options.speed, units)) * 60);
+  const minutesPerKm = distanceKm > 0 ? durationMinutes / distanceKm : 0;
+
+  const { segments, snapshots } = buildRouteSegments({
+    checkpoints,
+    forecasts,
+    departure,
+    minutesPerKm,
+  });
+  const weatherUnits = forecasts[0].units;
+  const { ruleSet } = await loadRules();
+  const recommendation = buildRecommendation(buildWorstCaseSnapshot(snapshots), profile, ruleSet);
+
+  const payload = buildRoutePlanPayload({
+    start,
+    end,
+    distanceKm,
+    departure,
+    arrival: addMinutes(departure, durationMinutes),
+    durationMinutes,
+    segments,
+    highlights: buildRouteHighlights(segments, snapshots, weatherUnits, profile),
+    wind: analyzeRouteWind({ segments, roundTrip: false, windUnit: weatherUnits.windSpeed }),
+    recommendation,
+    profile,
+    units: weatherUnits,
+    stale: oldestStale(forecasts),
+  });
+
+  if (format === "json") {
+    return renderJson(payload);
+  }
+
+  if (format === "csv") {
+    return renderCsv(payload);
+  }
+
+  if (isDocumentFormat(format)) {
+    return renderReportDocument({ payload, format });
+  }
+
+  return renderRoutePlan({
+    plan: payload,
+    recommendation,
+    theme,
+    emojiEnabled: options.emoji,
+    quiet: options.quiet,
+  });
+};
+
+const DEFAULT_WINDOW_MINUTES = 60;
+const DEFAULT_WINDOW_DAYS = 3;
+const DEFAULT_WINDOW_COUNT = 3;
+
+const normalizePositiveInteger = (value, fallback, label) => {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`${label} must be a positive whole number.`);
+  }
+  return parsed;
+};
+
+const runWindow = async ({ options }) => {
+  const config = await loadConfig();
+  const units = normalizeUnits(options.units ?? config.units);
+  const format = normalizeFormat(options.format);
+  const colorEnabled = options.color && format === "text";
+  const theme = createTheme({ colorEnabled });
+  const spinner = options.quiet || format !== "text" || !process.stdout.isTTY
+    ? null
+    : ora({ text: "Finding location...", color: "cyan" });
+
+  const durationMinutes = normalizeDuration(options.duration) ?? DEFAULT_WINDOW_MINUTES;
+  const days = Math.min(7, normalizePositiveInteger(options.days, DEFAULT_WINDOW_DAYS, "Days"));
+  const limit = normalizePositiveInteger(options.top, DEFAULT_WINDOW_COUNT, "Top");
+  const between = parseBetween(options.between);
+  const maxWind = options.maxWind === undefined ? null : Number(options.maxWind);
+  if (maxWind !== null && (!Number.isFinite(maxWind) || maxWind <= 0)) {
+    throw new Error("Max wind must be a positive number.");
+  }
+
+  const profile = await resolveProfile(options.profile ?? config.profile);
+  const location = await resolveLocationOption({ options, config, spinner, theme });
+  const ttlOverride = normalizeTtl(options.ttl);
+  const ttlMs = ttlOverride ? ttlOverride * 60 * 1000 : undefined;
+  const weather = await resolveWeather({
+    location,
+    units,
+    spinner,
+    theme,
+    ttlMs,
+    offline: options.offline,
+  });
+
+  const fromTime =
+    readTimeOption(options.time, weather.data) ??
+    weather.data.current_weather?.time;
+
+  const windows = findRideWindows({
+    data: weather.data,
+    units: weather.units,
+    durationMinutes,
+    fromTime,
+    days,
+    between,
+    maxWind,
+    getDaylight: options.dark ? null : (dateKey) => buildDaylight(weather.data, dateKey),
+    limit,
+    weights: profile.weights,
+  }).map(({ start, ...window }, index) => ({
+    rank: index + 1,
+    start,
+    end: addMinutes(start, durationMinutes),
+    ...window,
+  }));
+
+  const payload = {
+    mode: "window",
+    location: location.displayName,
+    from: fromTime,
+    durationMinutes,
+    days,
+    between: between?.label ?? null,
+    maxWind,
+    daylightOnly: !options.dark,
+    units: weather.units,
+    windows,
+    ...(weather.stale ? { stale: weather.stale } : {}),
+  };
+
+  if (format === "json") {
+    return renderJson(payload);
+  }
+
+  if (format === "csv") {
+    return renderCsv(payload);
+  }
+
+  return renderRideWindows({
+    windows: payload,
+    location,
+    theme,
+    emojiEnabled: options.emoji,
+  });
+};
+
+const DEFAULT_FORECAST_DAYS = 7;
+
+const findBestHour = (data, units, dateKey, nowTime, weights) => {
+  const daylight = buildDaylight(data, dateKey);
+  const nowMs = Date.parse(nowTime ?? "");
+  const upcoming = (data.hourly?.time ?? []).filter(
+    (time) =>
+      getDateKey(time) === dateKey && !(Number.isFinite(nowMs) && Date.parse(time) < nowMs)
+  );
+  const daytime = upcoming.filter((time) => isDaylightAt(data, time) !== false);
+  const candidates = daylight && daytime.length ? daytime : upcoming;
+
+  return candidates.reduce((best, time) => {
+    const snapshot = buildSnapshotForTime(data, units, time);
+    const score = scoreHour(snapshot, units, weights);
+    return !best || score > best.score ? { snapshot, score } : best;
+  }, null);
+};
+
+const buildForecastDays = ({ data, units, days, profile, ruleSet }) => {
+  const daily = data.daily ?? {};
+  const nowTime = data.current_weather?.time;
+
+  return (daily.time ?? []).slice(0, days).reduce((entries, date, dayIndex) => {
+    const best = findBestHour(data, units, date, nowTime, profile?.weights);
+    if (!best) {
+      return entries;
+    }
+
+    const recommendation = buildRecommendation(best.snapshot, profile, ruleSet);
+    const weatherCode = daily.weathercode?.[dayIndex] ?? best.snapshot.weatherCode;
+    const score = Math.round(best.score);
+
+    entries.push({
+      date,
+      summary: describeWeatherCode(weatherCode),
+      weatherCode,
+      temperatureMax: daily.temperature_2m_max?.[dayIndex] ?? null,
+      temperatureMin: daily.temperature_2m_min?.[dayIndex] ?? null,
+      windSpeedMax: daily.windspeed_10m_max?.[dayIndex] ?? null,
+      windGustsMax: daily.windgusts_10m_max?.[dayIndex] ?? null,
+      precipitation: daily.precipitation_sum?.[dayIndex] ?? null,
+      precipitationHours: daily.precipitation_hours?.[dayIndex] ?? null,
+      sunrise: daily.sunrise?.[dayIndex] ?? null,
+      sunset: daily.sunset?.[dayIndex] ?? null,
+      bestHour: best.snapshot.time,
+      score,
+      rating: rateRideScore(score),
+      wear: recommendation.essentials,
+      bring: recommendation.extras,
+      alerts: recommendation.alerts,
+      roadStatus: best.snapshot.roadStatus,
+      roadReason: best.snapshot.roadReason,
+    });
+    return entries;
+  }, []);
+};
+
+const runForecast = async ({ options }) => {
+  const config = await loadConfig();
+  const units = normalizeUnits(options.units ?? config.units);
+  const format = normalizeFormat(options.format);
+  const colorEnabled = options.color && format === "text";
+  const theme = createTheme({ colorEnabled });
+  const spinner = options.quiet || format !== "text" || !process.stdout.isTTY
+    ? null
+    : ora({ text: "Finding location...", color: "cyan" });
+
+  const days = Math.min(
+    DEFAULT_FORECAST_DAYS,
+    normalizePositiveInteger(options.days, DEFAULT_FORECAST_DAYS, "Days")
+  );
+  const profile = await resolveProfile(options.profile ?? config.profile);
+  const location = await resolveLocationOption({ options, config, spinner, theme });
+  const ttlOverride = normalizeTtl(options.ttl);
+  const ttlMs = ttlOverride ? ttlOverride * 60 * 1000 : undefined;
+  const weather = await resolveWeather({
+    location,
+    units,
+    spinner,
+    theme,
+    ttlMs,
+    offline: options.offline,
+  });
+  const { ruleSet } = await loadRules();
+
+  const payload = {
+    mode: "forecast",
+    location: location.displayName,
+    profile: profile.name,
+    days,
+    units: weather.units,
+    forecast: buildForecastDays({
+      data: weather.data,
+      units: weather.units,
+      days,
+      profile,
+      ruleSet,
+    }),
+    ...(weather.stale ? { stale: weather.stale } : {}),
+  };
+
+  if (format === "json") {
+    return renderJson(payload);
+  }
+
+  if (format === "csv") {
+    return renderCsv(payload);
+  }
+
+  return renderForecast({
+    forecast: payload,
+    location,
+    theme,
+    emojiEnabled: options.emoji,
+    quiet: options.quiet,
+  });
+};
+
+const buildComparisonEntry = ({ location, weather, timeOption, profile }) => {
+  const timeInput = readTimeOption(timeOption, weather.data);
+  const snapshot =
+    timeInput || weather.stale
+      ? buildSnapshotForTime(weather.data, weather.units, timeInput ?? weather.data.current_weather.time)
+      : buildCurrentSnapshot(weather.data, weather.units);
+
+  return {
+    location: location.displayName,
+    time: snapshot.time,
+    summary: snapshot.summary,
+    temperature: snapshot.temperature,
+    feelsLike: snapshot.feelsLike,
+    windSpeed: snapshot.windSpeed,
+    windDirection: snapshot.windDirection,
+    precipProbability: snapshot.precipProbability,
+    precipitation: snapshot.precipitation,
+    roadStatus: snapshot.roadStatus,
+    roadReason: snapshot.roadReason,
+    confidence: buildConfidence({
+      data: weather.data,
+      units: weather.units,
+      start: snapshot.time,
+      durationMinutes: DEFAULT_WINDOW_MINUTES,
+    }).level,
+    score: Math.round(scoreHour(snapshot, weather.units, profile.weights)),
+  };
+};
+
+const runCompare = async ({ locationInputs, options }) => {
+  const config = await loadConfig();
+  const units = normalizeUnits(options.units ?? config.units);
+  const format = normalizeFormat(options.format);
+  const colorEnabled = options.color && format === "text";
+  const theme = createTheme({ colorEnabled });
+  const spinner = options.quiet || format !== "text" || !process.stdout.isTTY
+    ? null
+    : ora({ text: "Fetching weather...", color: "cyan" });
+  const profile = await resolveProfile(options.profile ?? config.profile);
+
+  if (locationInputs.length < 2) {
+    throw new Error("Compare needs at least two locations.");
+  }
+
+  const ttlOverride = normalizeTtl(options.ttl);
+  const ttlMs = ttlOverride ? ttlOverride * 60 * 1000 : undefined;
+  if (spinner) {
+    spinner.start(`Fetching weather for ${locationInputs.length} places...`);
+  }
+  const results = await Promise.all(
+    locationInputs.map(async (locationInput) => {
+      const { location } = await resolveLocation({
+        locationInput,
+        spinner: null,
+        theme,
+        offline: options.offline,
+      });
+      const weather = await resolveWeather({
+        location,
+        units,
+        spinner: null,
+        theme,
+        ttlMs,
+        offline: options.offline,
+      });
+      return { location, weather };
+    })
+  ).catch((error) => {
+    if (spinner) {
+      spinner.fail(theme.bad(error.message));
+    }
+    throw error;
+  });
+  if (spinner) {
+    spinner.succeed("Weather synced");
+  }
+
+  const entries = results.map(({ location, weather }) =>
+    buildComparisonEntry({ location, weather, timeOption: options.time, profile })
+  );
+  const best = entries.reduce((top, entry) => (entry.score > top.score ? entry : top));
+
+  const stale = oldestStale(results.map(({ weather }) => weather));
+
+  const payload = {
+    mode: "compare",
+    time: options.time ?? "now",
+    profile: profile.name,
+    units: results[0].weather.units,
+    best: best.location,
+    locations: entries.map((entry) => ({ ...entry, best: entry === best })),
+    ...(stale ? { stale } : {}),
+  };
+
+  if (format === "json") {
+    return renderJson(payload);
+  }
+
+  if (format === "csv") {
+    return renderCsv(payload);
+  }
+
+  return renderComparison({
+    comparison: payload,
+    theme,
+    emojiEnabled: options.emoji,
+    quiet: options.quiet,
+  });
+};
+
+const resolveCommuteSettings = (options, config) => {
+  const commute = { ...getConfigDefaults().commute, ...config.commute };
+  const home = options.home ?? commute.home ?? config.location;
+  const work = options.work ?? commute.work;
+
+  if (!home) {
+    throw new Error("Commute needs a home location. Use --home or bike config set commute.home <place>.");
+  }
+  if (!work) {
+    throw new Error("Commute needs a work location. Use --work or bike config set commute.work <place>.");
+  }
+
+  return {
+    home,
+    work,
+    depart: parseClockTime(options.depart ?? commute.depart, "Departure time"),
+    return: parseClockTime(options.return ?? commute.return, "Return time"),
+    durationMinutes: normalizeDuration(options.duration ?? commute.duration) ?? 30,
+    weekdays: parseWeekdays(commute.days),
+  };
+};
+
+const buildCommuteLeg = ({ label, from, to, depart, snapshot, recommendation, durationMinutes }) => ({
+  label,
+  from: from.displayName,
+  to: to.displayName,
+  depart,
+  arrive: addMinutes(depart, durationMinutes),
+  summary: snapshot.summary,
+  temperature: snapshot.temperature,
+  feelsLike: snapshot.feelsLike,
+  windSpeed: snapshot.windSpeed,
+  precipProbability: snapshot.precipProbability,
+  precipitation: snapshot.precipitation,
+  daylight: snapshot.daylight,
+  wear: recommendation.essentials,
+  bring: recommendation.extras,
+  alerts: recommendation.alerts,
+});
+
+const buildCommuteDay = ({ dateKey, home, work, homeWeather, workWeather, settings, profile, ruleSet }) => {
+  const morningDepart = `${dateKey}T${settings.depart}`;
+  const eveningDepart = `${dateKey}T${settings.return}`;
+  const morning = buildSnapshotForTime(homeWeather.data, homeWeather.units, morningDepart);
+  const evening = buildSnapshotForTime(workWeather.data, workWeather.units, eveningDepart);
+  const morningKit = buildRecommendation(morning, profile, ruleSet);
+  const eveningKit = buildRecommendation(evening, profile, ruleSet);
+  // One kit for the day, dressed for the worse of the two legs: coldest, wettest, windiest.
+  const kit = buildRecommendation(buildWorstCaseSnapshot([morning, evening]), profile, ruleSet);
+
+  const eveningEnd = addMinutes(eveningDepart, settings.durationMinutes);
+  const { flags, lightsNeeded } = buildCommuteFlags({
+    morning,
+    evening,
+    eveningEnd,
+    sunset: buildDaylight(workWeather.data, dateKey)?.sunset,
+    thresholds: buildThresholds(profile, evening.units),
+  });
+  const bring = lightsNeeded
+    ? mergeRecommendations([kit, { essentials: [], extras: ["Front and rear lights"], alerts: [] }]).extras
+    : kit.extras;
+
+  return {
+    date: dateKey,
+    weekday: weekdayOf(dateKey),
+    legs: [
+      buildCommuteLeg({
+        label: "Morning",
+        from: home,
+        to: work,
+        depart: morningDepart,
+        snapshot: morning,
+        recommendation: morningKit,
+        durationMinutes: settings.durationMinutes,
+      }),
+      buildCommuteLeg({
+        label: "Evening",
+        from: work,
+        to: home,
+        depart: eveningDepart,
+        snapshot: evening,
+        recommendation: eveningKit,
+        durationMinutes: settings.durationMinutes,
+      }),
+    ],
+    wear: kit.essentials,
+    bring,
+    alerts: kit.alerts,
+    flags,
+  };
+};
+
+const pickCommuteDates = ({ data, settings, tomorrow, week }) => {
+  const dates = data.daily?.time ?? [];
+  const nowTime = data.current_weather?.time;
+  const today = getDateKey(nowTime) ?? dates[0];
+  const upcoming = dates.filter(
+    (dateKey) => dateKey > today || (dateKey === today && `${dateKey}T${settings.return}` >= nowTime)
+  );
+
+  if (week) {
+    return upcoming.filter((dateKey) => isCommuteDay(dateKey, settings.weekdays));
+  }
+  if (tomorrow) {
+    const next = dates[dates.indexOf(today) + 1];
+    if (!next) {
+      throw new Error("Tomorrow is outside the forecast range.");
+    }
+    return [next];
+  }
+  return [upcoming.find((dateKey) => isCommuteDay(dateKey, settings.weekdays)) ?? today];
+};
+
+const runCommute = async ({ options }) => {
+  const config = await loadConfig();
+  const units = normalizeUnits(options.units ?? config.units);
+  const format = normalizeFormat(options.format);
+  const colorEnabled = options.color && format === "text";
+  const theme = createTheme({ colorEnabled });
+  const spinner = options.quiet || format !== "text" || !process.stdout.isTTY
+    ? null
+    : ora({ text: "Finding locations...", color: "cyan" });
+
+  const settings = resolveCommuteSettings(options, config);
+  const profile = await resolveProfile(options.profile ?? config.profile);
+
+  if (spinner) {
+    spinner.start("Finding locations...");
+  }
+  const { location: home } = await resolveLocation({
+    locationInput: settings.home,
+    spinner,
+    theme,
+    offline: options.offline,
+  });
+  const { location: work } = await resolveLocation({
+    locationInput: settings.work,
+    spinner,
+    theme,
+    offline: options.offline,
+  });
+  if (spinner) {
+    spinner.succeed(`Commute ${home.displayName} → ${work.displayName}`);
+    spinner.start("Checking cache...");
+  }
+
+  const ttlOverride = normalizeTtl(options.ttl);
+  const ttlMs = ttlOverride ? ttlOverride * 60 * 1000 : undefined;
+  const homeWeather = await resolveWeather({
+    location: home,
+    units,
+    spinner,
+    theme,
+    ttlMs,
+    offline: options.offline,
+  });
+  const workWeather = await resolveWeather({
+    location: work,
+    units,
+    spinner: null,
+    theme,
+    ttlMs,
+    offline: options.offline,
+  });
+  const { ruleSet } = await loadRules();
+
+  const dates = pickCommuteDates({
+    data: homeWeather.data,
+    settings,
+    tomorrow: options.tomorrow,
+    week: options.week,
+  });
+  const days = dates.map((dateKey) =>
+    buildCommuteDay({ dateKey, home, work, homeWeather, workWeather, settings, profile, ruleSet })
+  );
+
+  const stale = oldestStale([homeWeather, workWeather]);
+
+  const payload = {
+    mode: options.week ? "commute-week" : "commute",
+    home: home.displayName,
+    work: work.displayName,
+    profile: profile.name,
+    depart: settings.depart,
+    return: settings.return,
+    durationMinutes: settings.durationMinutes,
+    units: homeWeather.units,
+    ...(options.week ? { days } : days[0]),
+    ...(stale ? { stale } : {}),
+  };
+
+  if (format === "json") {
+    return renderJson(payload);
+  }
+
+  if (format === "csv") {
+    return renderCsv(payload);
+  }
+
+  return renderCommute({
+    commute: payload,
+    theme,
+    emojiEnabled: options.emoji,
+    quiet: options.quiet,
+  });
+};
+
+const DEFAULT_WATCH_INTERVAL_MINUTES = 30;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Re-runs the conditions pipeline every interval and reports when the verdict, kit, or
+// alerts change. Text output is a log; json output is one notification per line.
+const runWatch = async ({ options }) => {
+  const format = normalizeFormat(options.format, TEXT_JSON_FORMATS);
+  const intervalMinutes =
+    options.interval === undefined
+      ? DEFAULT_WATCH_INTERVAL_MINUTES
+      : normalizePositiveNumber(options.interval, "Interval");
+  const maxChecks = normalizePositiveInteger(options.checks, Infinity, "Checks");
+  const webhook = options.webhook ? normalizeWebhookUrl(options.webhook) : null;
+  const theme = createTheme({ colorEnabled: options.color && format === "text" });
+
+  const check = (time) =>
+    runConditions({
+      mode: "watch",
+      options: { ...options, time, quiet: true, ttl: options.ttl ?? intervalMinutes },
+      includeHourly: false,
+      upcomingTime: true,
+      payloadOnly: true,
+    });
+
+  const emit = (notification) => {
+    const line = format === "json" ? JSON.stringify(notification) : renderWatchEvent({ notification, theme });
+    process.stdout.write(`${line}\n`);
+  };
+
+  // A failing hook or webhook is reported but doesn't end the watch.
+  const deliver = async (notification) => {
+    const deliveries = [
+      options.exec ? runCommandHook(options.exec, notification) : null,
+      webhook ? postWebhook(webhook, notification) : null,
+    ].filter(Boolean);
+    const results = await Promise.allSettled(deliveries);
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) => process.stderr.write(`${theme.warn(`! ${result.reason.message}`)}\n`));
+  };
+
+  const first = await check(options.time);
+  // Pin the resolved time so "07:00" keeps meaning the same ride after midnight.
+  const target = first.requestedTime?.time ?? null;
+  const timezone = first.requestedTime?.timezone ?? null;
+  let previous = summarizeCheck(first);
+  emit(buildNotification({ event: "start", check: previous }));
+
+  for (let checks = 1; checks < maxChecks; checks += 1) {
+    await sleep(intervalMinutes * 60 * 1000);
+    if (target && toLocalDateTime(new Date(), timezone) >= target) {
+      emit(buildNotification({ event: "done", check: previous }));
+      return;
+    }
+
+    let next;
+    try {
+      next = summarizeCheck(await check(target ?? "now"));
+    } catch (error) {
+      process.stderr.write(`${theme.warn(`! Check failed: ${error.message}`)}\n`);
+      continue;
+    }
+
+    const changes = diffChecks(previous, next);
+    previous = next;
+    if (changes.length) {
+      const notification = buildNotification({ event: "change", check: next, changes });
+      emit(notification);
+      await deliver(notification);
+    }
+  }
+};
+
+// Sunday of the current week, as the stats commands count it.
+const getWeekStartDate = (now = new Date()) => {
+  const startOfWeek = new Date(now);
+  startOfWeek.setDate(now.getDate() - now.getDay());
+  startOfWeek.setHours(0, 0, 0, 0);
+  return startOfWeek.toISOString().split("T")[0];
+};
+
+const buildBikesPayload = (bikesList, defaultBikeId) => ({ defaultBikeId: defaultBikeId ?? null, bikes: bikesList });
+
+const DEFAULT_SERVER_PORT = 8787;
+const DEFAULT_SERVER_HOST = "127.0.0.1";
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+
+// Query parameters the conditions endpoints pass through as command options.
+const SERVE_CONDITION_PARAMS = ["location", "units", "profile", "duration", "heading", "speed", "ttl"];
+
+const normalizePort = (value) => {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error("Port must be a whole number from 0 to 65535.");
+  }
+  return port;
+};
+
+const readConditionParams = (query) =>
+  Object.fromEntries(SERVE_CONDITION_PARAMS.filter((key) => query[key] !== undefined).map((key) => [key, query[key]]));
+
+// Checks the options the conditions endpoints take before any weather is fetched, so a bad
+// parameter is reported as such rather than as a server error.
+const validateConditionParams = async (params) => {
+  try {
+    const units = normalizeUnits(params.units ?? "us");
+    normalizeDuration(params.duration);
+    parseHeading(params.heading);
+    normalizeTtl(params.ttl);
+    if (params.speed !== undefined) {
+      resolveRouteSpeedKph(params.speed, units);
+    }
+    if (params.profile !== undefined) {
+      await resolveProfile(params.profile);
+    }
+  } catch (error) {
+    throw markBadInput(error);
+  }
+  return params;
+};
+
+const normalizeSinceDate = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(value).getTime())) {
+    throw new Error("Since must be a date (YYYY-MM-DD).");
+  }
+  return value;
+};
+
+// Archive weather is always fetched in metric; annotations are converted when shown.
+const HISTORY_SERIES = ["temperature_2m", "precipitation"];
+
+const isCompleteHistoryDay = (data) => {
+  const hourly = data?.hourly ?? {};
+  return (
+    (hourly.time ?? []).length > 0 &&
+    HISTORY_SERIES.every((series) => (hourly[series] ?? []).length && hourly[series].every(Number.isFinite))
+  );
+};
+
+// One local date of archive weather. The archive trails real time by a few days and fills
+// recent hours with nulls, so only complete days are cached.
+const resolveHistoryDay = async ({ latitude, longitude, date, provider }) => {
+  const point = { latitude: Number(latitude.toFixed(2)), longitude: Number(longitude.toFixed(2)) };
+  if (provider.cacheable) {
+    const cached = await loadHistoryCache({ ...point, date, units: "metric" });
+    if (cached.hit) {
+      return cached.data;
+    }
+  }
+
+  const { data } = await fetchHistory(point, { startDate: date, endDate: date, units: "metric" });
+  if (provider.cacheable && isCompleteHistoryDay(data)) {
+    try {
+      await saveHistoryCache({ ...point, date, units: "metric", data });
+    } catch (cacheError) {
+    }
+  }
+  return data;
+};
+
+// Rides past midnight span two archive days; join their hourly series.
+const mergeHistoryDays = (days) => {
+  const [first] = days;
+  const keys = Object.keys(first?.hourly ?? {});
+  return {
+    ...first,
+    hourly: Object.fromEntries(keys.map((key) => [key, days.flatMap((day) => day.hourly?.[key] ?? [])])),
+  };
+};
+
+const runAnnotate = async ({ options }) => {
+  const config = await loadConfig();
+  const format = normalizeFormat(options.format, TEXT_JSON_FORMATS);
+  const units = normalizeUnits(config.units);
+  const since = normalizeSinceDate(options.since);
+  const limit = normalizePositiveInteger(options.limit, null, "Limit");
+  const theme = createTheme({ colorEnabled: Boolean(format === "text" && process.stdout.isTTY) });
+  const spinner = format !== "text" || !process.stdout.isTTY ? null : ora({ text: "Finding rides...", color: "cyan" });
+
+  await initializeData();
+  const activities = getActivities(await loadData(), { bikeId: options.bike, since });
+  const alreadyAnnotated = options.force ? [] : activities.filter((activity) => activity.weather);
+  const noLocation = activities.filter((activity) => !alreadyAnnotated.includes(activity) && !readRideStart(activity));
+  const queue = activities
+    .filter((activity) => !alreadyAnnotated.includes(activity) && !noLocation.includes(activity))
+    .slice(0, limit ?? undefined);
+
+  const provider = await resolveProvider();
+  const annotations = new Map();
+  const pending = [];
+  const failed = [];
+  for (const [index, activity] of queue.entries()) {
+    if (spinner) {
+      spinner.start(`Fetching ride weather (${index + 1}/${queue.length})...`);
+    }
+    const start = readRideStart(activity);
+    try {
+      const days = [];
+      for (const date of start.dates) {
+        days.push(await resolveHistoryDay({ latitude: start.latitude, longitude: start.longitude, date, provider }));
+      }
+      const weather = summarizeRideWeather({
+        activity,
+        data: mergeHistoryDays(days),
+        describe: describeWeatherCode,
+      });
+      if (weather) {
+        annotations.set(activity.id, { ...weather, annotatedAt: new Date().toISOString() });
+      } else {
+        pending.push({ id: activity.id, name: start.name, startDate: activity.startDate });
+      }
+    } catch (error) {
+      failed.push({ id: activity.id, name: start.name, startDate: activity.startDate, error: error.message });
+    }
+  }
+
+  let annotated = [];
+  if (annotations.size) {
+    const data = await modifyData((current) => {
+      current.activities.forEach((activity) => {
+        if (annotations.has(activity.id)) {
+          activity.weather = annotations.get(activity.id);
+        }
+      });
+    });
+    annotated = data.activities.filter((activity) => annotations.has(activity.id));
+  }
+  if (spinner) {
+    spinner.stop();
+  }
+
+  const result = {
+    annotated: annotated.map((activity) => describeRideWeather(activity, units)),
+    pending,
+    failed,
+    skipped: { alreadyAnnotated: alreadyAnnotated.length, noLocation: noLocation.length },
+    units: UNIT_LABELS[units],
+  };
+  if (format === "json") {
+    process.stdout.write(`${renderJson(result)}\n`);
+  } else {
+    process.stdout.write(`${renderAnnotateResult({ result, theme })}\n`);
+  }
+};
+
+// Activity totals plus weather stats from annotated rides (see `bike rides annotate`).
+const buildPeriodStats = (data, bikeId, since, units) => ({
+  ...getActivityStats(data, bikeId, since),
+  weather: summarizeWeatherStats(getActivities(data, { bikeId, since }), normalizeUnits(units ?? "us")),
+});
+
+// Each endpoint returns the same JSON as the matching command with --format json.
+const buildApiRoutes = () => {
+  const conditions = async (mode, query, time) =>
+    runConditions({
+      mode,
+      options: { ...(await validateConditionParams(readConditionParams(query))), time, format: "json", quiet: true },
+      includeHourly: true,
+      payloadOnly: true,
+    });
+  const resolveBikeId = async (query) => query.bike || (await loadConfig()).defaultBikeId;
+
+  return {
+    "/now": (query) => conditions("now", query, "now"),
+    "/plan": (query) => conditions("plan", query, query.time ?? "now"),
+    "/stats/week": async (query) => {
+      await initializeData();
+      const bikeId = await resolveBikeId(query);
+      return buildPeriodStats(await loadData(), bikeId, getWeekStartDate(), (await loadConfig()).units);
+    },
+    "/bikes": async () => {
+      await initializeData();
+      const config = await loadConfig();
+      return buildBikesPayload(getBikes(await loadData()), config.defaultBikeId);
+    },
+    "/maintenance/status": async (query) => {
+      await initializeData();
+      return getMaintenanceStatus(await resolveBikeId(query));
+    },
+  };
+};
+
+// "https://dash.example:8123" → the origin a browser sends; anything with a path is refused.
+const normalizeCorsOrigin = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw new Error(`CORS origin must be an http or https origin like https://dash.example: ${value}`);
+  }
+  if (!["http:", "https:"].includes(url.protocol) || url.pathname !== "/" || url.search || url.hash) {
+    throw new Error(`CORS origin must be an http or https origin like https://dash.example: ${value}`);
+  }
+  return url.origin;
+};
+
+const runServe = async ({ options }) => {
+  const config = await loadConfig();
+  const port = normalizePort(options.port ?? config.server?.port ?? DEFAULT_SERVER_PORT);
+  const host = options.host ?? config.server?.host ?? DEFAULT_SERVER_HOST;
+  const token = options.token ?? config.server?.token ?? process.env.BIKE_SERVER_TOKEN ?? null;
+  const corsOrigin = normalizeCorsOrigin(options.cors ?? config.server?.corsOrigin);
+  const theme = createTheme({ colorEnabled: Boolean(options.color && process.stdout.isTTY) });
+
+  const routes = buildApiRoutes();
+  const server = createApiServer({
+    routes,
+    token,
+    corsOrigin,
+    onRequest: ({ method, path: requestPath, status, durationMs }) => {
+      if (!options.quiet) {
+        const color = status >= 400 ? theme.warn : theme.muted;
+        process.stdout.write(`${color(`${method} ${requestPath} ${status} ${durationMs}ms`)}\n`);
+      }
+    },
+  });
+  const address = await listen(server, { port, host });
+
+  const urlHost = address.family === "IPv6" ? `[${address.address}]` : address.address;
+  process.stdout.write(`${theme.good(`Serving on http://${urlHost}:${address.port}`)}\n`);
+  process.stdout.write(`${theme.muted(`Endpoints: ${Object.keys(routes).join(", ")}`)}\n`);
+  if (!token && !LOOPBACK_HOSTS.includes(host)) {
+    process.stdout.write(`${theme.warn("! No token set — anyone on the network can read your data. Use --token.")}\n`);
+  }
+};
+
+const parseListOption = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parseNumberOption = (value, label) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`${label} must be a number.`);
+  }
+  return parsed;
+};
+
+const parseWeightsOption = (value) =>
+  Object.fromEntries(
+    parseListOption(value).map((pair) => {
+      const [factor, weight] = pair.split("=").map((part) => part.trim());
+      if (!SCORE_FACTORS.includes(factor)) {
+        throw new Error(`Unknown score factor '${factor}'. Use one of: ${SCORE_FACTORS.join(", ")}.`);
+      }
+      const parsed = parseNumberOption(weight, `Weight for ${factor}`);
+      if (parsed < 0) {
+        throw new Error(`Weight for ${factor} must be zero or more.`);
+      }
+      return [factor, parsed];
+    })
+  );
+
+const buildProfileOverrides = (options) => {
+  const overrides = {};
+
+  if (options.description !== undefined) {
+    overrides.description = options.description;
+  }
+  if (options.tempOffset !== undefined) {
+    overrides.temperatureOffset = parseNumberOption(options.tempOffset, "Temperature offset");
+  }
+  if (options.speed !== undefined) {
+    overrides.speed = parseNumberOption(options.speed, "Speed");
+    if (overrides.speed <= 0) {
+      throw new Error("Speed must be a positive number.");
+    }
+  }
+  if (options.windCaution !== undefined || options.windAlert !== undefined || options.windGust !== undefined) {
+    overrides.wind = {};
+    if (options.windCaution !== undefined) {
+      overrides.wind.caution = parseNumberOption(options.windCaution, "Wind caution");
+    }
+    if (options.windAlert !== undefined) {
+      overrides.wind.alert = parseNumberOption(options.windAlert, "Wind alert");
+    }
+    if (options.windGust !== undefined) {
+      overrides.wind.gust = parseNumberOption(options.windGust, "Wind gust");
+    }
+  }
+  if (options.rainLikely !== undefined || options.rainPossible !== undefined) {
+    overrides.rain = {};
+    if (options.rainLikely !== undefined) {
+      overrides.rain.likely = parseNumberOption(options.rainLikely, "Rain likely");
+    }
+    if (options.rainPossible !== undefined) {
+      overrides.rain.possible = parseNumberOption(options.rainPossible, "Rain possible");
+    }
+  }
+  if (options.weights !== undefined) {
+    overrides.weights = parseWeightsOption(options.weights);
+  }
+  if (options.wear !== undefined || options.bring !== undefined) {
+    overrides.kit = {};
+    if (options.wear !== undefined) {
+      overrides.kit.wear = parseListOption(options.wear);
+    }
+    if (options.bring !== undefined) {
+      overrides.kit.bring = parseListOption(options.bring);
+    }
+  }
+  if (options.tips !== undefined) {
+    overrides.tips = parseListOption(options.tips);
+  }
+
+  return overrides;
+};
+
+const mergeProfileOverrides = (existing, overrides) => ({
+  ...existing,
+  ...overrides,
+  ...(overrides.wind ? { wind: { ...existing.wind, ...overrides.wind } } : {}),
+  ...(overrides.rain ? { rain: { ...existing.rain, ...overrides.rain } } : {}),
+  ...(overrides.weights ? { weights: { ...existing.weights, ...overrides.weights } } : {}),
+  ...(overrides.kit ? { kit: { ...existing.kit, ...overrides.kit } } : {}),
+});
+
+const addProfileOptions = (command) =>
+  command
+    .option("--description <text>", "Short description")
+    .option("--temp-offset <degrees>", "Shift clothing thresholds by °F (positive = dress warmer sooner)")
+    .option("--speed <mph>", "Typical riding speed (mph) for the on-bike feel")
+    .option("--wind-caution <mph>", "Wind speed (mph) that calls for a windbreaker")
+    .option("--wind-alert <mph>", "Wind speed (mph) that triggers a strong wind alert")
+    .option("--wind-gust <mph>", "Gust speed (mph) that triggers a gust alert")
+    .option("--rain-likely <percent>", "Precipitation chance treated as wet")
+    .option("--rain-possible <percent>", "Precipitation chance that calls for a packable jacket")
+    .option("--weights <pairs>", "Ride score weights, e.g. wind=1.5,road=0.5")
+    .option("--wear <items>", "Comma-separated items to always wear")
+    .option("--bring <items>", "Comma-separated items to always bring")
+    .option("--tips <items>", "Comma-separated tips to always show");
+
+const addSharedOptions = (command, formats = BASE_FORMATS) =>
+  command
+    .option("-l, --location <location>", "Location to check")
+    .option("--time <time>", "Time to plan for", "now")
     .option("--duration <minutes>", "Duration in minutes")
     .option("--units <units>", "Units: us or metric")
     .option("--profile <profile>", "Rider profile")
-    .option("--format <format>", "Output: text, json, or csv", "text")
+    .option("--heading <direction>", "Direction you ride out (N, SW, or degrees) for headwind advice")
+    .option("--format <format>", `Output: ${listChoices(formats)}`, "text")
     .option("--ttl <minutes>", "Cache TTL in minutes")
+    .option("--offline", "Use cached weather only, even if it is out of date")
     .option("--no-color", "Disable colored output")
     .option("--quiet", "Minimal output")
     .option("--interactive", "Prompt for missing info")
@@ -665,7 +2426,12 @@ export const run = async () => {
     .command("now", { isDefault: true })
     .description("Current conditions with wear + gear guidance");
 
-  addSharedOptions(nowCommand).action(async () => {
+  addSharedOptions(nowCommand, REPORT_FORMATS)
+    .option("--ensemble", "Check ensemble model spread for forecast confidence")
+    .option("--explain", "Show how each factor moves the ride score")
+    .option("--speed <speed>", "Riding speed in mph (us) or km/h (metric) for the on-bike feel");
+
+  nowCommand.action(async () => {
     try {
       const output = await runConditions({
         mode: "now",
@@ -673,6 +2439,50 @@ export const run = async () => {
         title: "Bike conditions",
         includeHourly: true,
         renderMode: renderReport,
+        verdictExitCode: true,
+      });
+      process.stdout.write(`${output}\n`);
+    } catch (error) {
+      program.error(error.message);
+    }
+  });
+
+  const planCommand = program
+    .command("plan")
+    .description("Plan for a future time");
+
+  addSharedOptions(planCommand, REPORT_FORMATS)
+    .option("--route-file <path>", "GPX or TCX course to forecast along")
+    .option("--ensemble", "Check ensemble model spread for forecast confidence")
+    .option("--explain", "Show how each factor moves the ride score")
+    .option("--speed <speed>", "Average speed in mph (us) or km/h (metric), for route timing and the on-bike feel");
+
+  planCommand.action(async () => {
+    try {
+      const output = await runConditions({
+        mode: "plan",
+        options: planCommand.opts(),
+        title: "Route plan",
+        includeHourly: true,
+        renderMode: renderReport,
+        verdictExitCode: true,
+      });
+      process.stdout.write(`${output}\n`);
+    } catch (error) {
+      program.error(error.message);
+    }
+  });
+
+  const planRouteCommand = planCommand
+    .command("route <start> <end>")
+    .description("Route-aware forecast between two places");
+
+  addSharedOptions(planRouteCommand, REPORT_FORMATS).action(async (start, end) => {
+    try {
+      const output = await runRoutePlan({
+        startInput: start,
+        endInput: end,
+        options: planRouteCommand.optsWithGlobals(),
       });
       process.stdout.write(`${output}\n`);
     } catch (error) {
@@ -680,50 +2490,129 @@ export const run = async () => {
     }
   });
 
-  const planCommand = program
-    .command("plan")
-    .description("Plan for a future time");
+  const windowCommand = program
+    .command("window")
+    .description("Find the best time to ride in the coming days");
+
+  addSharedOptions(windowCommand)
+    .option("--days <days>", "Days ahead to search (max 7)")
+    .option("--top <count>", "Number of windows to show")
+    .option("--between <range>", "Only consider windows inside HH:MM-HH:MM")
+    .option("--max-wind <speed>", "Skip windows with wind above this speed")
+    .option("--dark", "Include windows before sunrise or after sunset")
+    .action(async () => {
+      try {
+        const output = await runWindow({ options: windowCommand.opts() });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  const compareCommand = program
+    .command("compare <locations...>")
+    .description("Compare conditions across places")
+    .option("--time <time>", "Time to compare", "now")
+    .option("--profile <profile>", "Rider profile")
+    .option("--units <units>", "Units: us or metric")
+    .option("--format <format>", "Output: text, json, or csv", "text")
+    .option("--ttl <minutes>", "Cache TTL in minutes")
+    .option("--offline", "Use cached weather only, even if it is out of date")
+    .option("--no-color", "Disable colored output")
+    .option("--quiet", "Minimal output")
+    .option("--no-emoji", "Disable emoji in output")
+    .action(async (locationInputs) => {
+      try {
+        const output = await runCompare({ locationInputs, options: compareCommand.opts() });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  const commuteCommand = program
+    .command("commute")
+    .description("Kit for the ride to work and back")
+    .option("--home <location>", "Home location")
+    .option("--work <location>", "Work location")
+    .option("--depart <time>", "Departure time from home (HH:MM)")
+    .option("--return <time>", "Departure time from work (HH:MM)")
+    .option("--duration <minutes>", "Minutes per leg")
+    .option("--tomorrow", "Plan tomorrow's commute")
+    .option("--week", "Show every commute day in the forecast")
+    .option("--units <units>", "Units: us or metric")
+    .option("--profile <profile>", "Rider profile")
+    .option("--format <format>", "Output: text, json, or csv", "text")
+    .option("--ttl <minutes>", "Cache TTL in minutes")
+    .option("--offline", "Use cached weather only, even if it is out of date")
+    .option("--no-color", "Disable colored output")
+    .option("--quiet", "Minimal output")
+    .option("--no-emoji", "Disable emoji in output")
+    .action(async () => {
+      try {
+        const output = await runCommute({ options: commuteCommand.opts() });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  const watchCommand = program
+    .command("watch")
+    .description("Keep checking a ride's forecast and report when the verdict, kit, or alerts change");
+
+  addSharedOptions(watchCommand, TEXT_JSON_FORMATS)
+    .option("--route-file <path>", "GPX or TCX course to forecast along")
+    .option("--speed <speed>", "Average speed in mph (us) or km/h (metric)")
+    .option("--interval <minutes>", `Minutes between checks (default ${DEFAULT_WATCH_INTERVAL_MINUTES})`)
+    .option("--checks <count>", "Stop after this many checks")
+    .option("--exec <command>", "Shell command to run on each change (notification JSON on stdin)")
+    .option("--webhook <url>", "URL to POST each change to as JSON")
+    .action(async () => {
+      try {
+        await runWatch({ options: watchCommand.opts() });
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  program
+    .command("serve")
+    .description("Serve conditions, stats, bikes, and maintenance as a read-only JSON API")
+    .option("--port <port>", `Port to listen on (default ${DEFAULT_SERVER_PORT})`)
+    .option("--host <host>", `Address to bind (default ${DEFAULT_SERVER_HOST}; 0.0.0.0 for the whole network)`)
+    .option("--token <token>", "Require this token as a Bearer header or ?token=")
+    .option("--cors <origin>", "Let web pages from this origin read the API (e.g. https://dash.example)")
+    .option("--quiet", "Don't log requests")
+    .option("--no-color", "Disable colored output")
+    .action(async (options) => {
+      try {
+        await runServe({ options });
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
 
-  addSharedOptions(planCommand).action(async () => {
-    try {
-      const output = await runConditions({
-        mode: "plan",
-        options: planCommand.opts(),
-        title: "Route plan",
-        includeHourly: true,
-        renderMode: renderReport,
-      });
-      process.stdout.write(`${output}\n`);
-    } catch (error) {
-      program.error(error.message);
-    }
-  });
+  const forecastCommand = program
+    .command("forecast")
+    .description("Day-by-day riding outlook");
 
-  const planRouteCommand = planCommand
-    .command("route <start> <end>")
-    .description("Plan a specific route (coming soon)");
-
-  addSharedOptions(planRouteCommand).action(async (start, end) => {
-    const options = planRouteCommand.opts();
-    const theme = createTheme({ colorEnabled: options.color });
-    const emojiEnabled = options.emoji;
-    const bikeIcon = emojiEnabled ? "🚴" : "Bike";
-    const lines = [
-      `${theme.title(bikeIcon)} ${theme.title("Route planning")}`,
-      theme.muted(`Start: ${start}`),
-      theme.muted(`End: ${end}`),
-      "",
-      theme.warn("Route-aware forecasts are coming soon."),
-      theme.muted("Use `bike plan --time` for now."),
-    ];
-    process.stdout.write(`${lines.join("\n")}\n`);
-  });
+  addSharedOptions(forecastCommand)
+    .option("--days <days>", "Days to show (max 7)")
+    .action(async () => {
+      try {
+        const output = await runForecast({ options: forecastCommand.opts() });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
 
   const wearCommand = program
     .command("wear")
     .description("Outfit guidance only");
 
-  addSharedOptions(wearCommand).action(async () => {
+  addSharedOptions(wearCommand, REPORT_FORMATS).action(async () => {
     try {
       const output = await runConditions({
         mode: "wear",
@@ -750,7 +2639,7 @@ export const run = async () => {
     .command("gear")
     .description("Packing checklist only");
 
-  addSharedOptions(gearCommand).action(async () => {
+  addSharedOptions(gearCommand, REPORT_FORMATS).action(async () => {
     try {
       const output = await runConditions({
         mode: "gear",
@@ -777,7 +2666,7 @@ export const run = async () => {
     .command("route")
     .description("Route conditions summary");
 
-  addSharedOptions(routeCommand).action(async () => {
+  addSharedOptions(routeCommand, REPORT_FORMATS).action(async () => {
     try {
       const output = await runConditions({
         mode: "route",
@@ -851,6 +2740,43 @@ export const run = async () => {
       if (key === "units") {
         normalizeUnits(value);
       }
+      try {
+        if (key === "weather.provider") {
+          value = normalizeProvider(value);
+        }
+        if (key === "weather.fixture") {
+          value = path.resolve(value);
+        }
+        if (key.startsWith("cache.")) {
+          value = normalizePositiveNumber(value, key);
+        }
+        if (key === "commute.depart" || key === "commute.return") {
+          value = parseClockTime(value, key);
+        }
+        if (key === "commute.days") {
+          value = parseWeekdays(value).join(",");
+        }
+        if (key === "commute.duration") {
+          value = normalizeDuration(value);
+        }
+        if (key === "server.port") {
+          value = normalizePort(value);
+        }
+        if (key === "server.corsOrigin") {
+          value = normalizeCorsOrigin(value);
+        }
+      } catch (error) {
+        program.error(error.message);
+        return;
+      }
+      if (key === "profile") {
+        try {
+          await resolveProfile(value);
+        } catch (error) {
+          program.error(error.message);
+          return;
+        }
+      }
 
       const current = await loadConfig();
       const next = { ...current };
@@ -957,6 +2883,332 @@ export const run = async () => {
       }
     });
 
+  const profiles = program.command("profiles").description("Manage rider profiles");
+
+  profiles
+    .command("list")
+    .description("List built-in and custom profiles")
+    .action(async () => {
+      try {
+        const config = await loadConfig();
+        const output = renderProfilesList({
+          profiles: await listProfiles(),
+          activeName: config.profile,
+          theme: createTheme({ colorEnabled: process.stdout.isTTY }),
+        });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  profiles
+    .command("show [name]")
+    .description("Show a profile's thresholds, kit, and tips")
+    .option("--units <units>", "Units: us or metric")
+    .action(async (name, options) => {
+      try {
+        const config = await loadConfig();
+        const profile = await resolveProfile(name ?? config.profile);
+        const units = normalizeUnits(options.units ?? config.units) === "metric"
+          ? { temperature: "°C", windSpeed: "km/h" }
+          : { temperature: "°F", windSpeed: "mph" };
+        const output = renderProfile({
+          profile,
+          thresholds: buildThresholds(profile, units),
+          speed: getProfileSpeed(profile, units),
+          units,
+          theme: createTheme({ colorEnabled: process.stdout.isTTY }),
+        });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  addProfileOptions(
+    profiles
+      .command("create <name>")
+      .description("Create a custom profile")
+      .option("--from <profile>", "Profile to start from", "commuter")
+  ).action(async (name, options) => {
+    try {
+      const profileName = name.toLowerCase();
+      const customProfiles = await loadCustomProfiles();
+      if (isBuiltInProfile(profileName) || customProfiles[profileName]) {
+        throw new Error(`Profile already exists: ${profileName}. Use 'bike profiles edit ${profileName}'.`);
+      }
+
+      const base = await resolveProfile(options.from);
+      customProfiles[profileName] = { extends: base.name, ...buildProfileOverrides(options) };
+      await saveCustomProfiles(customProfiles);
+
+      const theme = createTheme({ colorEnabled: process.stdout.isTTY });
+      process.stdout.write(`${theme.good(`Profile created: ${profileName}`)}\n`);
+      process.stdout.write(`${renderHint({ message: `Use it with --profile ${profileName} or 'bike config set profile ${profileName}'.`, theme })}\n`);
+    } catch (error) {
+      program.error(error.message);
+    }
+  });
+
+  addProfileOptions(
+    profiles
+      .command("edit <name>")
+      .description("Edit a profile (editing a built-in saves a custom override)")
+  ).action(async (name, options) => {
+    try {
+      const profileName = name.toLowerCase();
+      await resolveProfile(profileName);
+
+      const overrides = buildProfileOverrides(options);
+      if (!Object.keys(overrides).length) {
+        throw new Error("Nothing to change. Pass at least one option, e.g. --temp-offset 3.");
+      }
+
+      const customProfiles = await loadCustomProfiles();
+      customProfiles[profileName] = mergeProfileOverrides(customProfiles[profileName] ?? {}, overrides);
+      await saveCustomProfiles(customProfiles);
+
+      const theme = createTheme({ colorEnabled: process.stdout.isTTY });
+      process.stdout.write(`${theme.good(`Profile updated: ${profileName}`)}\n`);
+    } catch (error) {
+      program.error(error.message);
+    }
+  });
+
+  const cache = program.command("cache").description("Inspect and clean the weather and location cache");
+
+  cache
+    .command("list")
+    .description("List cached entries, most recently used first")
+    .option("--format <format>", "Output: text or json", "text")
+    .action(async (options) => {
+      try {
+        const entries = await listCacheEntries();
+        if (normalizeFormat(options.format, TEXT_JSON_FORMATS) === "json") {
+          process.stdout.write(`${renderJson(entries)}\n`);
+          return;
+        }
+        const output = renderCacheList({
+          entries,
+          theme: createTheme({ colorEnabled: process.stdout.isTTY }),
+        });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  cache
+    .command("stats")
+    .description("Show cache size, age, and limits")
+    .option("--format <format>", "Output: text or json", "text")
+    .action(async (options) => {
+      try {
+        const stats = await getCacheStats();
+        if (normalizeFormat(options.format, TEXT_JSON_FORMATS) === "json") {
+          process.stdout.write(`${renderJson(stats)}\n`);
+          return;
+        }
+        const output = renderCacheStats({
+          stats,
+          theme: createTheme({ colorEnabled: process.stdout.isTTY }),
+        });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  cache
+    .command("clear")
+    .description("Delete cached entries")
+    .option("--weather", "Only delete cached weather")
+    .option("--locations", "Only delete cached locations")
+    .option("--history", "Only delete cached ride weather history")
+    .action(async (options) => {
+      try {
+        const kinds = [
+          options.weather ? "weather" : null,
+          options.locations ? "location" : null,
+          options.history ? "history" : null,
+        ].filter(Boolean);
+        if (kinds.length > 1) {
+          throw new Error("Use only one of --weather, --locations, or --history.");
+        }
+        const [kind] = kinds;
+        const result = await clearCache({ kind });
+        const output = renderCacheRemoval({
+          result,
+          verb: "Cleared",
+          emptyLabel: "Cache is already empty.",
+          theme: createTheme({ colorEnabled: process.stdout.isTTY }),
+        });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  cache
+    .command("prune")
+    .description("Delete expired entries and trim the cache to its size limit")
+    .action(async () => {
+      try {
+        const result = await pruneCache();
+        const output = renderCacheRemoval({
+          result,
+          verb: "Pruned",
+          emptyLabel: "Nothing to prune; the cache is within its limits.",
+          theme: createTheme({ colorEnabled: process.stdout.isTTY }),
+        });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  const places = program.command("places").description("Manage saved places");
+
+  places
+    .command("add <name> <location>")
+    .description("Save a place under a short name (address, city, or lat,lon)")
+    .action(async (name, locationInput) => {
+      try {
+        const alias = normalizeAlias(name);
+        const coordinates = parseCoordinates(locationInput);
+        const location = coordinates
+          ? { ...buildCoordinateLocation(coordinates), name: alias, displayName: alias }
+          : await geocodeLocation(locationInput);
+
+        const saved = await loadPlaces();
+        const existed = Boolean(saved[alias]);
+        saved[alias] = { ...location, query: locationInput };
+        await savePlaces(saved);
+
+        const theme = createTheme({ colorEnabled: process.stdout.isTTY });
+        const verb = existed ? "Place updated" : "Place saved";
+        process.stdout.write(`${theme.good(`${verb}: ${alias}`)} ${theme.muted(`→ ${location.displayName}`)}\n`);
+        process.stdout.write(`${renderHint({ message: `Use it anywhere a location goes, e.g. --location ${alias}.`, theme })}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  places
+    .command("list")
+    .description("List saved places")
+    .option("--format <format>", "Output: text or json", "text")
+    .action(async (options) => {
+      try {
+        const saved = await loadPlaces();
+        if (normalizeFormat(options.format, TEXT_JSON_FORMATS) === "json") {
+          process.stdout.write(`${renderJson(saved)}\n`);
+          return;
+        }
+        const output = renderPlacesList({
+          places: saved,
+          theme: createTheme({ colorEnabled: process.stdout.isTTY }),
+        });
+        process.stdout.write(`${output}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  places
+    .command("remove <name>")
+    .description("Remove a saved place")
+    .action(async (name) => {
+      try {
+        const alias = normalizeAlias(name);
+        const saved = await loadPlaces();
+        if (!saved[alias]) {
+          throw new Error(`Place not found: ${alias}. Run 'bike places list' to see saved places.`);
+        }
+        delete saved[alias];
+        await savePlaces(saved);
+
+        const theme = createTheme({ colorEnabled: process.stdout.isTTY });
+        process.stdout.write(`${theme.good(`Place removed: ${alias}`)}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  const rules = program.command("rules").description("Manage wardrobe rules");
+
+  rules
+    .command("init")
+    .description("Copy the default rules into the config directory for editing")
+    .option("--force", "Overwrite an existing rules file")
+    .action(async (options) => {
+      try {
+        const rulesPath = getRulesPath();
+        const existing = await readRulesFile(rulesPath);
+        if (existing && !options.force) {
+          throw new Error(`Rules file already exists: ${rulesPath}. Use --force to overwrite.`);
+        }
+        await saveRules(await loadDefaultRules());
+        const theme = createTheme({ colorEnabled: process.stdout.isTTY });
+        process.stdout.write(`${theme.good(`Rules written to ${rulesPath}`)}\n`);
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  rules
+    .command("validate [file]")
+    .description("Check a rules file for errors (defaults to the active rules file)")
+    .action(async (file) => {
+      try {
+        const rulesPath = file ?? getRulesPath();
+        let ruleSet = await readRulesFile(rulesPath);
+        let source = rulesPath;
+        if (!ruleSet) {
+          if (file) {
+            throw new Error(`Rules file not found: ${rulesPath}`);
+          }
+          ruleSet = await loadDefaultRules();
+          source = "built-in defaults";
+        }
+        const errors = validateRules(ruleSet);
+        const output = renderRulesValidation({
+          source,
+          count: Array.isArray(ruleSet.rules) ? ruleSet.rules.length : 0,
+          errors,
+          theme: createTheme({ colorEnabled: process.stdout.isTTY }),
+        });
+        process.stdout.write(`${output}\n`);
+        if (errors.length) {
+          process.exitCode = 1;
+        }
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
+  const rulesExplainCommand = rules
+    .command("explain")
+    .description("Show which rule produced each wear, bring, and alert item");
+
+  addSharedOptions(rulesExplainCommand, REPORT_FORMATS).action(async () => {
+    try {
+      const output = await runConditions({
+        mode: "explain",
+        options: rulesExplainCommand.opts(),
+        title: "Rules",
+        includeHourly: false,
+        onlyLists: true,
+        renderMode: ({ recommendation, theme, emojiEnabled }) =>
+          renderRulesExplanation({ recommendation, theme, emojiEnabled }),
+      });
+      process.stdout.write(`${output}\n`);
+    } catch (error) {
+      program.error(error.message);
+    }
+  });
+
   const auth = program.command("auth").description("Manage Strava authentication");
   auth.option("--no-color", "Disable colored output");
 
@@ -1074,6 +3326,24 @@ export const run = async () => {
       }
     });
 
+  const rides = program.command("rides").description("Work with synced rides");
+
+  rides
+    .command("annotate")
+    .description("Add historical weather to synced rides")
+    .option("--since <date>", "Only rides since date (YYYY-MM-DD)")
+    .option("--bike <id>", "Only rides on this bike")
+    .option("--limit <n>", "Annotate at most this many rides, newest first")
+    .option("--force", "Re-annotate rides that already have weather")
+    .option("--format <format>", `Output: ${listChoices(TEXT_JSON_FORMATS)}`, "text")
+    .action(async (options) => {
+      try {
+        await runAnnotate({ options });
+      } catch (error) {
+        program.error(error.message);
+      }
+    });
+
   const bikes = program.command("bikes").description("Manage bikes");
 
   bikes
@@ -1108,8 +3378,10 @@ export const run = async () => {
   bikes
     .command("list")
     .description("List all bikes")
-    .action(async () => {
+    .option("--format <format>", "Output: text or json", "text")
+    .action(async (options) => {
       try {
+        const format = normalizeFormat(options.format, TEXT_JSON_FORMATS);
         await initializeData();
 
         const data = await loadData();
@@ -1117,6 +3389,11 @@ export const run = async () => {
         const config = await loadConfig();
         const defaultBikeId = config.defaultBikeId;
 
+        if (format === "json") {
+          process.stdout.write(`${renderJson(buildBikesPayload(bikesList, defaultBikeId))}\n`);
+          return;
+        }
+
         const theme = createTheme({ colorEnabled: process.stdout.isTTY });
         if (bikesList.length === 0) {
           const output = renderConfigSummary({
@@ -1211,36 +3488,33 @@ export const run = async () => {
     .command("week")
     .description("Statistics for this week")
     .option("--bike <id>", "Filter by bike")
-    .option("--format <format>", "Output: text, json, or csv", "text")
+    .option("--format <format>", `Output: ${listChoices(REPORT_FORMATS)}`, "text")
     .action(async (options) => {
       try {
-        const { format = "text" } = options;
+        const format = normalizeFormat(options.format, REPORT_FORMATS);
         const config = await loadConfig();
         await initializeData();
 
-        const now = new Date();
-        const startOfWeek = new Date(now);
-        startOfWeek.setDate(now.getDate() - now.getDay());
-        startOfWeek.setHours(0, 0, 0, 0);
-
-        const since = startOfWeek.toISOString().split("T")[0];
+        const since = getWeekStartDate();
 
         const data = await loadData();
         const bikeId = options.bike || config.defaultBikeId;
-        const statsData = getActivityStats(data, bikeId, since);
+        const statsData = buildPeriodStats(data, bikeId, since, config.units);
 
         if (format === "json") {
           process.stdout.write(JSON.stringify(statsData, null, 2));
         } else if (format === "csv") {
-          const headers = ["count", "totalDistanceM", "totalTimeS", "totalElevGainM"];
+          const headers = ["count", "totalDistanceM", "totalTimeS", "totalElevGainM", "wetRides", "wetDistanceM"];
           process.stdout.write(`${headers.join(",")}\n`);
-          process.stdout.write(`${statsData.count},${statsData.totalDistanceM},${statsData.totalTimeS},${statsData.totalElevGainM}\n`);
+          process.stdout.write(
+            `${statsData.count},${statsData.totalDistanceM},${statsData.totalTimeS},${statsData.totalElevGainM},${statsData.weather.wetRides},${statsData.weather.wetDistanceM}\n`
+          );
         } else {
           const km = (statsData.totalDistanceM / 1000).toFixed(1);
           const hours = (statsData.totalTimeS / 3600).toFixed(1);
           const elev = statsData.totalElevGainM.toFixed(0);
 
-          const output = renderStats({
+          const summary = {
             periodLabel: "Weekly",
             since,
             stats: {
@@ -1250,8 +3524,11 @@ export const run = async () => {
               elevation: elev,
             },
             units: { distance: "km", time: "hours", elevation: "m" },
-            theme: createTheme({ colorEnabled: process.stdout.isTTY }),
-          });
+            weather: statsData.weather,
+          };
+          const output = isDocumentFormat(format)
+            ? renderStatsDocument({ ...summary, format })
+            : renderStats({ ...summary, theme: createTheme({ colorEnabled: process.stdout.isTTY }) });
           process.stdout.write(`${output}\n`);
         }
       } catch (error) {
@@ -1263,10 +3540,10 @@ export const run = async () => {
     .command("month")
     .description("Statistics for this month")
     .option("--bike <id>", "Filter by bike")
-    .option("--format <format>", "Output: text, json, or csv", "text")
+    .option("--format <format>", `Output: ${listChoices(REPORT_FORMATS)}`, "text")
     .action(async (options) => {
       try {
-        const { format = "text" } = options;
+        const format = normalizeFormat(options.format, REPORT_FORMATS);
         const config = await loadConfig();
         await initializeData();
 
@@ -1276,20 +3553,22 @@ export const run = async () => {
 
         const data = await loadData();
         const bikeId = options.bike || config.defaultBikeId;
-        const statsData = getActivityStats(data, bikeId, since);
+        const statsData = buildPeriodStats(data, bikeId, since, config.units);
 
         if (format === "json") {
           process.stdout.write(JSON.stringify(statsData, null, 2));
         } else if (format === "csv") {
-          const headers = ["count", "totalDistanceM", "totalTimeS", "totalElevGainM"];
+          const headers = ["count", "totalDistanceM", "totalTimeS", "totalElevGainM", "wetRides", "wetDistanceM"];
           process.stdout.write(`${headers.join(",")}\n`);
-          process.stdout.write(`${statsData.count},${statsData.totalDistanceM},${statsData.totalTimeS},${statsData.totalElevGainM}\n`);
+          process.stdout.write(
+            `${statsData.count},${statsData.totalDistanceM},${statsData.totalTimeS},${statsData.totalElevGainM},${statsData.weather.wetRides},${statsData.weather.wetDistanceM}\n`
+          );
         } else {
           const km = (statsData.totalDistanceM / 1000).toFixed(1);
           const hours = (statsData.totalTimeS / 3600).toFixed(1);
           const elev = statsData.totalElevGainM.toFixed(0);
 
-          const output = renderStats({
+          const summary = {
             periodLabel: "Monthly",
             since,
             stats: {
@@ -1299,8 +3578,11 @@ export const run = async () => {
               elevation: elev,
             },
             units: { distance: "km", time: "hours", elevation: "m" },
-            theme: createTheme({ colorEnabled: process.stdout.isTTY }),
-          });
+            weather: statsData.weather,
+          };
+          const output = isDocumentFormat(format)
+            ? renderStatsDocument({ ...summary, format })
+            : renderStats({ ...summary, theme: createTheme({ colorEnabled: process.stdout.isTTY }) });
           process.stdout.write(`${output}\n`);
         }
       } catch (error) {
@@ -1312,10 +3594,10 @@ export const run = async () => {
     .command("year")
     .description("Statistics for this year")
     .option("--bike <id>", "Filter by bike")
-    .option("--format <format>", "Output: text, json, or csv", "text")
+    .option("--format <format>", `Output: ${listChoices(REPORT_FORMATS)}`, "text")
     .action(async (options) => {
       try {
-        const { format = "text" } = options;
+        const format = normalizeFormat(options.format, REPORT_FORMATS);
         const config = await loadConfig();
         await initializeData();
 
@@ -1325,20 +3607,22 @@ export const run = async () => {
 
         const data = await loadData();
         const bikeId = options.bike || config.defaultBikeId;
-        const statsData = getActivityStats(data, bikeId, since);
+        const statsData = buildPeriodStats(data, bikeId, since, config.units);
 
         if (format === "json") {
           process.stdout.write(JSON.stringify(statsData, null, 2));
         } else if (format === "csv") {
-          const headers = ["count", "totalDistanceM", "totalTimeS", "totalElevGainM"];
+          const headers = ["count", "totalDistanceM", "totalTimeS", "totalElevGainM", "wetRides", "wetDistanceM"];
           process.stdout.write(`${headers.join(",")}\n`);
-          process.stdout.write(`${statsData.count},${statsData.totalDistanceM},${statsData.totalTimeS},${statsData.totalElevGainM}\n`);
+          process.stdout.write(
+            `${statsData.count},${statsData.totalDistanceM},${statsData.totalTimeS},${statsData.totalElevGainM},${statsData.weather.wetRides},${statsData.weather.wetDistanceM}\n`
+          );
         } else {
           const km = (statsData.totalDistanceM / 1000).toFixed(1);
           const hours = (statsData.totalTimeS / 3600).toFixed(1);
           const elev = statsData.totalElevGainM.toFixed(0);
 
-          const output = renderStats({
+          const summary = {
             periodLabel: "Yearly",
             since,
             stats: {
@@ -1348,8 +3632,11 @@ export const run = async () => {
               elevation: elev,
             },
             units: { distance: "km", time: "hours", elevation: "m" },
-            theme: createTheme({ colorEnabled: process.stdout.isTTY }),
-          });
+            weather: statsData.weather,
+          };
+          const output = isDocumentFormat(format)
+            ? renderStatsDocument({ ...summary, format })
+            : renderStats({ ...summary, theme: createTheme({ colorEnabled: process.stdout.isTTY }) });
           process.stdout.write(`${output}\n`);
         }
       } catch (error) {
@@ -1363,15 +3650,21 @@ export const run = async () => {
     .command("status")
     .description("Check maintenance status")
     .option("--bike <id>", "Filter by bike")
+    .option("--format <format>", "Output: text or json", "text")
     .action(async (options) => {
       try {
+        const format = normalizeFormat(options.format, TEXT_JSON_FORMATS);
         const config = await loadConfig();
         await initializeData();
 
         const bikeId = options.bike || config.defaultBikeId;
-        const { getMaintenanceStatus } = await import("./utils/maintenance.js");
         const status = await getMaintenanceStatus(bikeId);
 
+        if (format === "json") {
+          process.stdout.write(`${renderJson(status)}\n`);
+          return;
+        }
+
         const theme = createTheme({ colorEnabled: process.stdout.isTTY });
         if (status.components.length === 0) {
           const output = renderConfigSummary({
@@ -1,22 +1,42 @@
 import { promises as fs } from "fs";
 import path from "path";
 import os from "os";
+import { loadConfig, getConfigDefaults } from "./config.js";
 
-const DEFAULT_TTL_MS = 10 * 60 * 1000;
-const DEFAULT_LOCATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MB = 1024 * 1024;
 
-const getCacheDir = () => path.join(os.homedir(), ".cache", "bike-cli");
+const CACHE_FILE_PATTERN = /^(weather|location|history)_.+\.json$/;
+
+export const getCacheDir = () => path.join(os.homedir(), ".cache", "bike-cli");
 
 const ensureDir = async (dir) => {
   await fs.mkdir(dir, { recursive: true });
 };
 
-const buildKey = ({ latitude, longitude, units }) => {
+export const getCacheSettings = async () => {
+  const config = await loadConfig();
+  const cache = { ...getConfigDefaults().cache, ...config.cache };
+  return {
+    weatherTtlMs: cache.weatherTtlMinutes * MINUTE_MS,
+    locationTtlMs: cache.locationTtlDays * DAY_MS,
+    maxBytes: cache.maxSizeMb * MB,
+    maxAgeMs: cache.maxAgeDays * DAY_MS,
+  };
+};
+
+const buildKey = ({ latitude, longitude, units, provider }) => {
   const lat = Number(latitude).toFixed(3);
   const lon = Number(longitude).toFixed(3);
-  return `weather_${lat}_${lon}_${units}.json`;
+  const suffix = provider && provider !== "open-meteo" ? `_${provider}` : "";
+  return `weather_${lat}_${lon}_${units}${suffix}.json`;
 };
 
+// Archive days are keyed by date and a start point rounded to ~1 km, so rides from home share them.
+const buildHistoryKey = ({ latitude, longitude, date, units }) =>
+  `history_${Number(latitude).toFixed(2)}_${Number(longitude).toFixed(2)}_${date}_${units}.json`;
+
 const buildLocationKey = (query) => {
   const normalized = String(query ?? "")
     .toLowerCase()
@@ -25,39 +45,68 @@ const buildLocationKey = (query) => {
   return `location_${normalized || "unknown"}.json`;
 };
 
-export const loadCache = async ({ latitude, longitude, units, ttlMs }) => {
-  const cacheDir = getCacheDir();
-  const fileName = buildKey({ latitude, longitude, units });
-  const filePath = path.join(cacheDir, fileName);
+// The file's mtime records when an entry was last read or written; pruning evicts
+// the least recently used entries first. Freshness still comes from the stored timestamp.
+const touch = async (filePath) => {
+  const now = new Date();
+  try {
+    await fs.utimes(filePath, now, now);
+  } catch (error) {
+  }
+};
+
+const readEntry = async (fileName) => {
+  const filePath = path.join(getCacheDir(), fileName);
+  const contents = await fs.readFile(filePath, "utf-8");
+  const payload = JSON.parse(contents);
+  await touch(filePath);
+  return payload;
+};
 
+// With allowStale, expired entries still count as hits but come back marked stale with their age,
+// so callers can fall back to them when the network is unavailable.
+export const loadCache = async ({ latitude, longitude, units, provider, ttlMs, allowStale = false }) => {
   try {
-    const contents = await fs.readFile(filePath, "utf-8");
-    const payload = JSON.parse(contents);
+    const payload = await readEntry(buildKey({ latitude, longitude, units, provider }));
     const age = Date.now() - payload.timestamp;
+    const stale = age > (ttlMs ?? (await getCacheSettings()).weatherTtlMs);
 
-    if (age > (ttlMs ?? DEFAULT_TTL_MS)) {
+    if (stale && !allowStale) {
       return { hit: false };
     }
 
-    return { hit: true, data: payload.data };
+    return { hit: true, stale, ageMs: age, fetchedAt: payload.timestamp, data: payload.data };
   } catch (error) {
     return { hit: false };
   }
 };
 
-export const getCacheDefaults = () => ({ ttlMs: DEFAULT_TTL_MS });
+// Past weather doesn't change, so history entries never go stale; pruning still ages them out.
+export const loadHistoryCache = async ({ latitude, longitude, date, units }) => {
+  try {
+    const payload = await readEntry(buildHistoryKey({ latitude, longitude, date, units }));
+    return { hit: true, data: payload.data };
+  } catch (error) {
+    return { hit: false };
+  }
+};
 
-export const loadLocationCache = async ({ query, ttlMs }) => {
-  const cacheDir = getCacheDir();
-  const fileName = buildLocationKey(query);
-  const filePath = path.join(cacheDir, fileName);
+export const getCacheDefaults = () => {
+  const cache = getConfigDefaults().cache;
+  return {
+    ttlMs: cache.weatherTtlMinutes * MINUTE_MS,
+    locationTtlMs: cache.locationTtlDays * DAY_MS,
+    maxBytes: cache.maxSizeMb * MB,
+    maxAgeMs: cache.maxAgeDays * DAY_MS,
+  };
+};
 
+export const loadLocationCache = async ({ query, ttlMs, allowStale = false }) => {
   try {
-    const contents = await fs.readFile(filePath, "utf-8");
-    const payload = JSON.parse(contents);
+    const payload = await readEntry(buildLocationKey(query));
     const age = Date.now() - payload.timestamp;
 
-    if (age > (ttlMs ?? DEFAULT_LOCATION_TTL_MS)) {
+    if (!allowStale && age > (ttlMs ?? (await getCacheSettings()).locationTtlMs)) {
       return { hit: false };
     }
 
@@ -67,24 +116,147 @@ export const loadLocationCache = async ({ query, ttlMs }) => {
   }
 };
 
-export const saveLocationCache = async ({ query, data }) => {
+const describeEntry = (fileName, payload) => {
+  if (fileName.startsWith("location_")) {
+    return payload?.data?.displayName ?? fileName.slice("location_".length, -".json".length);
+  }
+  if (fileName.startsWith("history_")) {
+    const [, lat, lon, date, units] = fileName.slice(0, -".json".length).split("_");
+    return `${lat}, ${lon} · ${date} · ${units} · archive`;
+  }
+  const [, lat, lon, units, provider = "open-meteo"] = fileName.slice(0, -".json".length).split("_");
+  return `${lat}, ${lon} · ${units} · ${provider}`;
+};
+
+// Size and last use of every entry from fs.stat alone, most recently used first. Pruning runs
+// after every write, so it must not read the entries themselves.
+const statCacheEntries = async () => {
   const cacheDir = getCacheDir();
-  await ensureDir(cacheDir);
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(cacheDir);
+  } catch (error) {
+    return [];
+  }
 
-  const fileName = buildLocationKey(query);
-  const filePath = path.join(cacheDir, fileName);
-  const payload = JSON.stringify({ timestamp: Date.now(), data });
+  const entries = await Promise.all(
+    fileNames
+      .filter((fileName) => CACHE_FILE_PATTERN.test(fileName))
+      .map(async (fileName) => {
+        try {
+          return { file: fileName, stats: await fs.stat(path.join(cacheDir, fileName)) };
+        } catch (error) {
+          return null;
+        }
+      })
+  );
+
+  return entries
+    .filter(Boolean)
+    .map(({ file, stats }) => ({ file, sizeBytes: stats.size, lastUsedMs: stats.mtimeMs }))
+    .sort((a, b) => b.lastUsedMs - a.lastUsedMs);
+};
+
+export const listCacheEntries = async () => {
+  const cacheDir = getCacheDir();
+  const now = Date.now();
+  const entries = await Promise.all(
+    (await statCacheEntries()).map(async ({ file, sizeBytes, lastUsedMs }) => {
+      let payload = null;
+      try {
+        payload = JSON.parse(await fs.readFile(path.join(cacheDir, file), "utf-8"));
+      } catch (error) {
+      }
+      const savedAt = Number.isFinite(payload?.timestamp) ? payload.timestamp : lastUsedMs;
+      return {
+        file,
+        kind: file.slice(0, file.indexOf("_")),
+        label: describeEntry(file, payload),
+        sizeBytes,
+        savedAt: new Date(savedAt).toISOString(),
+        lastUsedAt: new Date(lastUsedMs).toISOString(),
+        ageMs: now - savedAt,
+      };
+    })
+  );
 
-  await fs.writeFile(filePath, payload, "utf-8");
+  return entries;
 };
 
-export const saveCache = async ({ latitude, longitude, units, data }) => {
+export const getCacheStats = async () => {
+  const entries = await listCacheEntries();
+  const settings = await getCacheSettings();
+  const count = (kind) => entries.filter((entry) => entry.kind === kind).length;
+  const oldest = entries.reduce((top, entry) => (!top || entry.ageMs > top.ageMs ? entry : top), null);
+
+  return {
+    directory: getCacheDir(),
+    entries: entries.length,
+    weatherEntries: count("weather"),
+    locationEntries: count("location"),
+    historyEntries: count("history"),
+    sizeBytes: entries.reduce((sum, entry) => sum + entry.sizeBytes, 0),
+    oldestAgeMs: oldest?.ageMs ?? null,
+    ...settings,
+  };
+};
+
+const removeEntries = async (entries) => {
+  const cacheDir = getCacheDir();
+  await Promise.all(
+    entries.map((entry) => fs.rm(path.join(cacheDir, entry.file), { force: true }))
+  );
+  return {
+    removed: entries.length,
+    freedBytes: entries.reduce((sum, entry) => sum + entry.sizeBytes, 0),
+  };
+};
+
+export const clearCache = async ({ kind } = {}) => {
+  const entries = await listCacheEntries();
+  return removeEntries(kind ? entries.filter((entry) => entry.kind === kind) : entries);
+};
+
+// Drops entries unused for longer than maxAgeMs, then evicts least recently used entries until
+// the cache fits in maxBytes. The most recently used entry is always kept.
+export const pruneCache = async ({ maxAgeMs, maxBytes } = {}) => {
+  const settings = await getCacheSettings();
+  const ageLimit = maxAgeMs ?? settings.maxAgeMs;
+  const sizeLimit = maxBytes ?? settings.maxBytes;
+
+  const now = Date.now();
+  const entries = await statCacheEntries();
+  const expired = entries.filter((entry) => now - entry.lastUsedMs > ageLimit);
+  const kept = entries.filter((entry) => now - entry.lastUsedMs <= ageLimit);
+
+  let total = kept.reduce((sum, entry) => sum + entry.sizeBytes, 0);
+  const evicted = [];
+  while (total > sizeLimit && kept.length > 1) {
+    const leastRecent = kept.pop();
+    total -= leastRecent.sizeBytes;
+    evicted.push(leastRecent);
+  }
+
+  return removeEntries([...expired, ...evicted]);
+};
+
+const writeEntry = async (fileName, data) => {
   const cacheDir = getCacheDir();
   await ensureDir(cacheDir);
 
-  const fileName = buildKey({ latitude, longitude, units });
-  const filePath = path.join(cacheDir, fileName);
   const payload = JSON.stringify({ timestamp: Date.now(), data });
+  await fs.writeFile(path.join(cacheDir, fileName), payload, "utf-8");
+  await pruneCache();
+};
+
+export const saveLocationCache = async ({ query, data }) => {
+  await writeEntry(buildLocationKey(query), data);
+};
+
+export const saveHistoryCache = async ({ latitude, longitude, date, units, data }) => {
+  await writeEntry(buildHistoryKey({ latitude, longitude, date, units }), data);
+};
 
-  await fs.writeFile(filePath, payload, "utf-8");
+export const saveCache = async ({ latitude, longitude, units, provider, data }) => {
+  await writeEntry(buildKey({ latitude, longitude, units, provider }), data);
 };
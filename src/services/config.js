@@ -8,6 +8,30 @@ const DEFAULT_CONFIG = {
   profile: "commuter",
   dbPath: null,
   defaultBikeId: null,
+  commute: {
+    home: null,
+    work: null,
+    depart: "08:00",
+    return: "17:30",
+    duration: 30,
+    days: "mon,tue,wed,thu,fri",
+  },
+  weather: {
+    provider: "open-meteo",
+    fixture: null,
+  },
+  cache: {
+    weatherTtlMinutes: 10,
+    locationTtlDays: 7,
+    maxSizeMb: 50,
+    maxAgeDays: 30,
+  },
+  server: {
+    host: "127.0.0.1",
+    port: 8787,
+    token: null,
+    corsOrigin: null,
+  },
   strava: {
     clientId: null,
     clientSecret: null,
@@ -15,7 +39,7 @@ const DEFAULT_CONFIG = {
   },
 };
 
-const getConfigDir = () => path.join(os.homedir(), ".config", "bike-cli");
+export const getConfigDir = () => path.join(os.homedir(), ".config", "bike-cli");
 const getConfigPath = () => path.join(getConfigDir(), "config.json");
 
 const ensureDir = async (dir) => {
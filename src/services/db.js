@@ -188,6 +188,19 @@ export const getActivityStats = (data, bikeId, since) => {
   return { count, totalDistanceM, totalTimeS, totalElevGainM };
 };
 
+// Mean speed (m/s) of the latest outdoor rides; virtual rides have no real airflow.
+export const getAverageRideSpeed = (data, limit = 20) => {
+  const rides = getActivities(data)
+    .filter((a) => a.averageSpeedMps > 0 && (!a.type || (a.type.endsWith("Ride") && a.type !== "VirtualRide")))
+    .slice(0, limit);
+
+  if (!rides.length) {
+    return null;
+  }
+
+  return rides.reduce((sum, a) => sum + a.averageSpeedMps, 0) / rides.length;
+};
+
 export const upsertComponent = (data, component) => {
   const existingIndex = data.components.findIndex((c) => c.id === component.id);
 
@@ -0,0 +1,76 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { UNIT_LABELS } from "../utils/weatherData.js";
+
+// A fixture is a recorded response in the CLI's own (Open-Meteo-shaped) format:
+// { "units": "us", "location": {...}, "locations": { "<query>": {...} }, "forecast": {...}, "history": {...}, "ensemble": {...} }
+const readFixture = async (filePath) => {
+  if (!filePath) {
+    throw new Error("The fixture provider needs a file. Use bike config set weather.fixture <path>.");
+  }
+
+  const resolved = path.resolve(filePath);
+  let raw;
+  try {
+    raw = await fs.readFile(resolved, "utf-8");
+  } catch (error) {
+    throw new Error(`Unable to read weather fixture: ${resolved}`);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Weather fixture is not valid JSON (${resolved}): ${error.message}`);
+  }
+};
+
+const checkUnits = (fixture, units) => {
+  const recorded = fixture.units ?? "us";
+  if (recorded !== units) {
+    throw new Error(`Weather fixture was recorded in ${recorded} units; rerun with --units ${recorded}.`);
+  }
+};
+
+export const geocodeLocation = async (query, filePath) => {
+  const fixture = await readFixture(filePath);
+  const key = String(query ?? "").trim().toLowerCase();
+  const match =
+    Object.entries(fixture.locations ?? {}).find(([name]) => name.toLowerCase() === key)?.[1] ??
+    fixture.location;
+
+  if (!match) {
+    throw Object.assign(new Error("No matching location found"), { code: "BAD_INPUT" });
+  }
+
+  return {
+    ...match,
+    displayName: match.displayName ?? [match.name, match.admin1, match.country].filter(Boolean).join(", "),
+  };
+};
+
+export const fetchWeather = async (units, filePath) => {
+  const fixture = await readFixture(filePath);
+  checkUnits(fixture, units);
+  if (!fixture.forecast?.hourly) {
+    throw new Error("Weather fixture has no forecast data");
+  }
+  return { data: { air_quality: null, ...fixture.forecast }, units: UNIT_LABELS[units] };
+};
+
+export const fetchHistory = async (units, filePath) => {
+  const fixture = await readFixture(filePath);
+  checkUnits(fixture, units);
+  if (!fixture.history?.hourly) {
+    throw new Error("Weather fixture has no history data");
+  }
+  return { data: fixture.history, units: UNIT_LABELS[units] };
+};
+
+export const fetchEnsemble = async (units, filePath) => {
+  const fixture = await readFixture(filePath);
+  checkUnits(fixture, units);
+  if (!fixture.ensemble?.time) {
+    throw new Error("Weather fixture has no ensemble data");
+  }
+  return { data: fixture.ensemble, units: UNIT_LABELS[units] };
+};
@@ -0,0 +1,115 @@
+import {
+  UNIT_LABELS,
+  celsiusToFahrenheit,
+  metersPerSecondTo,
+  millimetersTo,
+  estimateFeelsLike,
+  buildDailyFromHourly,
+  buildCurrentFromHourly,
+  toLocalDateTime,
+} from "../utils/weatherData.js";
+
+const LOCATIONFORECAST_URL = "https://api.met.no/weatherapi/locationforecast/2.0/complete";
+const USER_AGENT = "bike-cli";
+
+const SYMBOL_CODES = [
+  [/thunder/, 95],
+  [/sleet/, 66],
+  [/heavysnow/, 75],
+  [/lightsnow/, 71],
+  [/snow/, 73],
+  [/rainshowers/, 80],
+  [/heavyrain/, 65],
+  [/lightrain/, 61],
+  [/rain/, 63],
+  [/fog/, 45],
+  [/partlycloudy/, 2],
+  [/cloudy/, 3],
+  [/fair/, 1],
+  [/clearsky/, 0],
+];
+
+// Symbol codes look like "lightrainshowers_day"; order matters, first match wins.
+const toWeatherCode = (symbol) => {
+  const code = String(symbol ?? "").split("_")[0];
+  return SYMBOL_CODES.find(([pattern]) => pattern.test(code))?.[1] ?? 3;
+};
+
+const round = (value, digits = 1) =>
+  Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+
+export const fetchWeather = async (location, units) => {
+  const url = new URL(LOCATIONFORECAST_URL);
+  url.searchParams.set("lat", Number(location.latitude).toFixed(4));
+  url.searchParams.set("lon", Number(location.longitude).toFixed(4));
+
+  const response = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+  if (!response.ok) {
+    throw new Error(`Unable to fetch weather (status ${response.status})`);
+  }
+  const body = await response.json();
+  // Timestamps are UTC; without the location's timezone, keep them on UTC and say so in
+  // data.timezone instead of silently using the machine's clock.
+  const timeZone = location.timezone || "UTC";
+
+  const hourly = {
+    time: [],
+    temperature_2m: [],
+    apparent_temperature: [],
+    precipitation: [],
+    precipitation_probability: [],
+    windspeed_10m: [],
+    winddirection_10m: [],
+    windgusts_10m: [],
+    relative_humidity_2m: [],
+    uv_index: [],
+    visibility: [],
+    weathercode: [],
+  };
+
+  // MET Norway switches from hourly to 6-hourly steps after a couple of days; keep the hourly part.
+  const series = (body.properties?.timeseries ?? []).filter((entry) => entry.data?.next_1_hours);
+  if (!series.length) {
+    throw new Error("Unable to fetch weather: MET Norway returned no hourly forecast");
+  }
+
+  series.forEach((entry) => {
+    const details = entry.data.instant?.details ?? {};
+    const next = entry.data.next_1_hours;
+    const celsius = details.air_temperature;
+    const temperature = round(units === "us" ? celsiusToFahrenheit(celsius) : celsius);
+    const windSpeed = round(metersPerSecondTo(details.wind_speed, units));
+
+    hourly.time.push(toLocalDateTime(entry.time, timeZone));
+    hourly.temperature_2m.push(temperature);
+    hourly.apparent_temperature.push(
+      estimateFeelsLike({ temperature, windSpeed, humidity: details.relative_humidity, units })
+    );
+    hourly.precipitation.push(round(millimetersTo(next.details?.precipitation_amount, units), 2));
+    hourly.precipitation_probability.push(next.details?.probability_of_precipitation ?? null);
+    hourly.windspeed_10m.push(windSpeed);
+    hourly.winddirection_10m.push(details.wind_from_direction ?? null);
+    hourly.windgusts_10m.push(round(metersPerSecondTo(details.wind_speed_of_gust, units)));
+    hourly.relative_humidity_2m.push(details.relative_humidity ?? null);
+    hourly.uv_index.push(details.ultraviolet_index_clear_sky ?? null);
+    hourly.visibility.push(null);
+    hourly.weathercode.push(toWeatherCode(next.summary?.symbol_code));
+  });
+
+  const data = {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    timezone: timeZone,
+    current_weather: buildCurrentFromHourly(hourly, toLocalDateTime(new Date(), timeZone)),
+    hourly,
+    daily: buildDailyFromHourly({
+      hourly,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timeZone,
+    }),
+    air_quality: null,
+  };
+
+  return { data, units: UNIT_LABELS[units] };
+};
@@ -0,0 +1,70 @@
+import { spawn } from "child_process";
+
+// Delivery for `bike watch` notifications. A notification is a plain object; hooks and
+// webhooks get it as JSON.
+const HOOK_TIMEOUT_MS = 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+export const normalizeWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw new Error(`Webhook must be an http or https URL: ${value}`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`Webhook must be an http or https URL: ${value}`);
+  }
+  return url.toString();
+};
+
+// Runs the hook through the shell with the notification as JSON on stdin. The message and
+// verdict are also in BIKE_WATCH_MESSAGE and BIKE_WATCH_VERDICT for one-line hooks.
+export const runCommandHook = (command, notification) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ["pipe", "inherit", "inherit"],
+      env: {
+        ...process.env,
+        BIKE_WATCH_MESSAGE: notification.message,
+        BIKE_WATCH_VERDICT: notification.verdict ?? "",
+      },
+    });
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Command hook timed out after ${HOOK_TIMEOUT_MS / 1000}s`));
+    }, HOOK_TIMEOUT_MS);
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Command hook failed: ${error.message}`));
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Command hook exited with status ${code}`));
+      }
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(`${JSON.stringify(notification)}\n`);
+  });
+
+export const postWebhook = async (url, notification) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(notification),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw new Error(`Webhook failed: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Webhook failed (status ${response.status})`);
+  }
+};
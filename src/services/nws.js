@@ -0,0 +1,123 @@
+import { parseHeading } from "../utils/wind.js";
+import {
+  UNIT_LABELS,
+  estimateFeelsLike,
+  buildDailyFromHourly,
+  buildCurrentFromHourly,
+  toLocalDateTime,
+} from "../utils/weatherData.js";
+
+const NWS_BASE_URL = "https://api.weather.gov";
+const USER_AGENT = "bike-cli";
+
+const FORECAST_CODES = [
+  [/thunder/i, 95],
+  [/freezing rain|freezing drizzle|sleet|ice/i, 66],
+  [/heavy snow|blizzard/i, 75],
+  [/snow/i, 73],
+  [/heavy rain/i, 65],
+  [/showers/i, 80],
+  [/drizzle/i, 51],
+  [/rain/i, 63],
+  [/fog|haze|smoke/i, 45],
+  [/mostly cloudy|overcast|cloudy/i, 3],
+  [/partly/i, 2],
+  [/mostly (sunny|clear)/i, 1],
+  [/sunny|clear/i, 0],
+];
+
+const toWeatherCode = (text) =>
+  FORECAST_CODES.find(([pattern]) => pattern.test(text ?? ""))?.[1] ?? 3;
+
+const parseWindSpeed = (text) => {
+  const speeds = String(text ?? "")
+    .match(/\d+(\.\d+)?/g)
+    ?.map(Number);
+  return speeds?.length ? Math.max(...speeds) : null;
+};
+
+const fetchNws = async (url, errorMessage) => {
+  const response = await fetch(url, {
+    headers: { "User-Agent": USER_AGENT, Accept: "application/geo+json" },
+  });
+  if (response.status === 404) {
+    throw new Error(`${errorMessage}: the National Weather Service only covers the United States`);
+  }
+  if (!response.ok) {
+    throw new Error(`${errorMessage} (status ${response.status})`);
+  }
+  return response.json();
+};
+
+export const fetchWeather = async (location, units) => {
+  const latitude = Number(location.latitude).toFixed(4);
+  const longitude = Number(location.longitude).toFixed(4);
+  const point = await fetchNws(`${NWS_BASE_URL}/points/${latitude},${longitude}`, "Unable to fetch weather");
+  const timeZone = point.properties?.timeZone ?? location.timezone;
+
+  const forecastUrl = new URL(point.properties.forecastHourly);
+  if (units === "metric") {
+    forecastUrl.searchParams.set("units", "si");
+  }
+  const forecast = await fetchNws(forecastUrl, "Unable to fetch weather");
+  const periods = forecast.properties?.periods ?? [];
+  if (!periods.length) {
+    throw new Error("Unable to fetch weather: the National Weather Service returned no forecast periods");
+  }
+
+  const hourly = {
+    time: [],
+    temperature_2m: [],
+    apparent_temperature: [],
+    precipitation: [],
+    precipitation_probability: [],
+    windspeed_10m: [],
+    winddirection_10m: [],
+    windgusts_10m: [],
+    relative_humidity_2m: [],
+    uv_index: [],
+    visibility: [],
+    weathercode: [],
+  };
+
+  periods.forEach((period) => {
+    const temperature = period.temperature;
+    const windSpeed = parseWindSpeed(period.windSpeed);
+    hourly.time.push(String(period.startTime).slice(0, 16));
+    hourly.temperature_2m.push(temperature);
+    hourly.apparent_temperature.push(
+      estimateFeelsLike({
+        temperature,
+        windSpeed,
+        humidity: period.relativeHumidity?.value,
+        units,
+      })
+    );
+    hourly.precipitation.push(null);
+    hourly.precipitation_probability.push(period.probabilityOfPrecipitation?.value ?? 0);
+    hourly.windspeed_10m.push(windSpeed);
+    hourly.winddirection_10m.push(period.windDirection ? parseHeading(period.windDirection) : null);
+    hourly.windgusts_10m.push(null);
+    hourly.relative_humidity_2m.push(period.relativeHumidity?.value ?? null);
+    hourly.uv_index.push(null);
+    hourly.visibility.push(null);
+    hourly.weathercode.push(toWeatherCode(period.shortForecast));
+  });
+
+  const data = {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    timezone: timeZone,
+    current_weather: buildCurrentFromHourly(hourly, toLocalDateTime(new Date(), timeZone)),
+    hourly,
+    daily: buildDailyFromHourly({
+      hourly,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timeZone,
+    }),
+    air_quality: null,
+  };
+
+  return { data, units: UNIT_LABELS[units] };
+};
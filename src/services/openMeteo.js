@@ -1,5 +1,9 @@
 const GEO_BASE_URL = "https://geocoding-api.open-meteo.com/v1/search";
 const FORECAST_BASE_URL = "https://api.open-meteo.com/v1/forecast";
+const AIR_QUALITY_BASE_URL = "https://air-quality-api.open-meteo.com/v1/air-quality";
+const ARCHIVE_BASE_URL = "https://archive-api.open-meteo.com/v1/archive";
+const ENSEMBLE_BASE_URL = "https://ensemble-api.open-meteo.com/v1/ensemble";
+const ENSEMBLE_MODEL = "gfs_seamless";
 
 const unitPresets = {
   us: {
@@ -9,6 +13,7 @@ const unitPresets = {
     temperatureLabel: "°F",
     windspeedLabel: "mph",
     precipitationLabel: "in",
+    distanceLabel: "mi",
   },
   metric: {
     temperatureUnit: "celsius",
@@ -17,6 +22,7 @@ const unitPresets = {
     temperatureLabel: "°C",
     windspeedLabel: "km/h",
     precipitationLabel: "mm",
+    distanceLabel: "km",
   },
 };
 
@@ -116,7 +122,7 @@ export const geocodeLocation = async (query) => {
   }
 
   if (!result) {
-    throw new Error("No matching location found");
+    throw Object.assign(new Error("No matching location found"), { code: "BAD_INPUT" });
   }
 
   return {
@@ -130,32 +136,121 @@ export const geocodeLocation = async (query) => {
   };
 };
 
+// The IANA timezone for a point, for providers that answer in UTC and locations that weren't
+// geocoded (lat,lon input).
+export const lookupTimezone = async (latitude, longitude) => {
+  const url = buildUrl(FORECAST_BASE_URL, { latitude, longitude, forecast_days: 1, timezone: "auto" });
+  const data = await fetchJson(url, "Unable to look up timezone");
+  return data.timezone ?? null;
+};
+
+export const fetchAirQuality = async (latitude, longitude) => {
+  const url = buildUrl(AIR_QUALITY_BASE_URL, {
+    latitude,
+    longitude,
+    hourly: "us_aqi,pm2_5",
+    timezone: "auto",
+  });
+
+  return fetchJson(url, "Unable to fetch air quality");
+};
+
+// Two days of history feed the road-surface model (overnight rain, freeze-thaw, snow cover).
+const PAST_DAYS = 2;
+const ANTECEDENT_SERIES = ["time", "temperature_2m", "precipitation", "snowfall", "snow_depth"];
+
+const sliceSeries = (series, start, end) =>
+  Object.fromEntries(
+    Object.entries(series).map(([key, values]) => [key, Array.isArray(values) ? values.slice(start, end) : values])
+  );
+
+// past_days shifts every series back; move the history aside so hourly and daily still start today.
+const splitAntecedent = (data) => {
+  const today = data.daily?.time?.[PAST_DAYS];
+  const cut = today ? data.hourly?.time?.findIndex((time) => time >= today) ?? -1 : -1;
+  if (cut === -1) {
+    return { ...data, antecedent: null };
+  }
+
+  const past = sliceSeries(data.hourly, 0, cut);
+  return {
+    ...data,
+    hourly: sliceSeries(data.hourly, cut),
+    daily: sliceSeries(data.daily, PAST_DAYS),
+    antecedent: Object.fromEntries(ANTECEDENT_SERIES.filter((key) => past[key]).map((key) => [key, past[key]])),
+  };
+};
+
+const buildUnitLabels = (unitPreset) => ({
+  temperature: unitPreset.temperatureLabel,
+  windSpeed: unitPreset.windspeedLabel,
+  precipitation: unitPreset.precipitationLabel,
+  distance: unitPreset.distanceLabel,
+});
+
 export const fetchWeather = async (latitude, longitude, units) => {
   const unitPreset = unitPresets[units];
   const url = buildUrl(FORECAST_BASE_URL, {
     latitude,
     longitude,
     current_weather: true,
+    past_days: PAST_DAYS,
     hourly:
-      "temperature_2m,apparent_temperature,precipitation,precipitation_probability,windspeed_10m,weathercode",
-    daily: "sunrise,sunset,precipitation_sum",
+      "temperature_2m,apparent_temperature,relative_humidity_2m,precipitation,precipitation_probability,windspeed_10m,winddirection_10m,windgusts_10m,uv_index,visibility,weathercode,snowfall,snow_depth",
+    daily:
+      "sunrise,sunset,precipitation_sum,temperature_2m_max,temperature_2m_min,windspeed_10m_max,windgusts_10m_max,precipitation_hours,weathercode",
     temperature_unit: unitPreset.temperatureUnit,
     windspeed_unit: unitPreset.windspeedUnit,
     precipitation_unit: unitPreset.precipitationUnit,
     timezone: "auto",
   });
 
-  const data = await fetchJson(url, "Unable to fetch weather");
+  const [data, airQuality] = await Promise.all([
+    fetchJson(url, "Unable to fetch weather"),
+    fetchAirQuality(latitude, longitude).catch(() => null),
+  ]);
 
   return {
-    data,
-    units: {
-      temperature: unitPreset.temperatureLabel,
-      windSpeed: unitPreset.windspeedLabel,
-      precipitation: unitPreset.precipitationLabel,
-    },
+    data: { ...splitAntecedent(data), air_quality: airQuality?.hourly ?? null },
+    units: buildUnitLabels(unitPreset),
   };
 };
 
+export const fetchHistory = async (latitude, longitude, { startDate, endDate, units }) => {
+  const unitPreset = unitPresets[units];
+  const url = buildUrl(ARCHIVE_BASE_URL, {
+    latitude,
+    longitude,
+    start_date: startDate,
+    end_date: endDate ?? startDate,
+    hourly: "temperature_2m,apparent_temperature,precipitation,windspeed_10m,winddirection_10m,windgusts_10m,weathercode",
+    daily: "sunrise,sunset,precipitation_sum,temperature_2m_max,temperature_2m_min,windspeed_10m_max,weathercode",
+    temperature_unit: unitPreset.temperatureUnit,
+    windspeed_unit: unitPreset.windspeedUnit,
+    precipitation_unit: unitPreset.precipitationUnit,
+    timezone: "auto",
+  });
+
+  const data = await fetchJson(url, "Unable to fetch weather history");
+  return { data, units: buildUnitLabels(unitPreset) };
+};
+
+// Hourly series come back once for the control run and once per member (temperature_2m_member01, ...).
+export const fetchEnsemble = async (latitude, longitude, units) => {
+  const unitPreset = unitPresets[units];
+  const url = buildUrl(ENSEMBLE_BASE_URL, {
+    latitude,
+    longitude,
+    models: ENSEMBLE_MODEL,
+    hourly: "temperature_2m,precipitation",
+    temperature_unit: unitPreset.temperatureUnit,
+    precipitation_unit: unitPreset.precipitationUnit,
+    timezone: "auto",
+  });
+
+  const data = await fetchJson(url, "Unable to fetch ensemble forecast");
+  return { data: data.hourly ?? null, units: buildUnitLabels(unitPreset) };
+};
+
 export const describeWeatherCode = (code) =>
   weatherCodeLabels[code] ?? "Unknown conditions";
@@ -0,0 +1,51 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { getConfigDir } from "./config.js";
+
+const ALIAS_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+const getPlacesPath = () => path.join(getConfigDir(), "places.json");
+
+export const normalizeAlias = (alias) => {
+  const normalized = String(alias ?? "").trim().toLowerCase();
+  if (!ALIAS_PATTERN.test(normalized)) {
+    throw new Error("Place names must start with a letter and use only letters, numbers, - or _.");
+  }
+  return normalized;
+};
+
+// Only a missing file means no places; anything else is reported so `places add` and
+// `places remove` never save over places they couldn't read.
+export const loadPlaces = async () => {
+  const filePath = getPlacesPath();
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+    throw new Error(`Unable to read places file: ${filePath}`);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Places file is not valid JSON (${filePath}): ${error.message}`);
+  }
+};
+
+export const savePlaces = async (places) => {
+  await fs.mkdir(getConfigDir(), { recursive: true });
+  const payload = JSON.stringify(places, null, 2);
+  await fs.writeFile(getPlacesPath(), payload, "utf-8");
+};
+
+export const findPlace = async (input) => {
+  const key = String(input ?? "").trim().toLowerCase();
+  if (!ALIAS_PATTERN.test(key)) {
+    return null;
+  }
+  const places = await loadPlaces();
+  return places[key] ?? null;
+};
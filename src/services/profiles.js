@@ -0,0 +1,221 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { getConfigDir } from "./config.js";
+
+const BASE_THRESHOLDS_F = {
+  freezing: 32,
+  cold: 40,
+  cool: 50,
+  mild: 60,
+  warm: 75,
+  hot: 80,
+};
+
+const BUILT_IN_PROFILES = {
+  commuter: {
+    description: "Everyday rides to work and errands",
+    temperatureOffset: 0,
+    speed: 12,
+    wind: { caution: 15, alert: 20, gust: 30 },
+    rain: { likely: 40, possible: 20 },
+    weights: { temperature: 1, wind: 1, precipitation: 1, road: 1, daylight: 1, airQuality: 1 },
+    kit: {
+      wear: [],
+      bring: ["Spare tube", "Mini pump/CO2", "Multi-tool"],
+    },
+    tips: [
+      "Check tire pressure before rolling",
+      "Carry a spare tube + mini pump",
+      "Front and rear lights if dim out",
+      "Quick bolt check on bars and saddle",
+    ],
+  },
+  roadie: {
+    description: "Fast group rides and training on the road bike",
+    temperatureOffset: -3,
+    speed: 18,
+    wind: { caution: 18, alert: 25, gust: 35 },
+    rain: { likely: 50, possible: 30 },
+    weights: { temperature: 1, wind: 1.2, precipitation: 1, road: 1.5, daylight: 1, airQuality: 1 },
+    kit: {
+      wear: ["Cycling cap"],
+      bring: ["Spare tube", "CO2 + inflator", "Tire levers", "Multi-tool", "Gel or bar"],
+    },
+    tips: [
+      "Check tire pressure before rolling",
+      "Charge your bike computer and lights",
+      "Eat early, drink often",
+      "Know the group's regroup points",
+    ],
+  },
+  randonneur: {
+    description: "Long brevets that run from dawn into the night",
+    temperatureOffset: 5,
+    speed: 14,
+    wind: { caution: 12, alert: 20, gust: 28 },
+    rain: { likely: 30, possible: 15 },
+    weights: { temperature: 0.8, wind: 1, precipitation: 1, road: 1, daylight: 0.25, airQuality: 1 },
+    kit: {
+      wear: ["Reflective vest"],
+      bring: [
+        "Spare tubes (2)",
+        "Mini pump",
+        "Multi-tool with chain breaker",
+        "Spare chain link",
+        "Front and rear lights + spare batteries",
+        "Food for the distance",
+        "Cash and card",
+      ],
+    },
+    tips: [
+      "Pack a layer for the overnight temperature drop",
+      "Plan resupply and water stops",
+      "Check every light before you leave",
+      "Carry your brevet card in a zip bag",
+    ],
+  },
+  gravel: {
+    description: "Mixed-surface rides on dirt and gravel",
+    temperatureOffset: 0,
+    speed: 12,
+    wind: { caution: 15, alert: 22, gust: 32 },
+    rain: { likely: 40, possible: 20 },
+    weights: { temperature: 1, wind: 1, precipitation: 1, road: 0.5, daylight: 1, airQuality: 1 },
+    kit: {
+      wear: ["Full-finger gloves"],
+      bring: ["Tubeless plugs", "Spare tube", "Mini pump", "Multi-tool", "Extra water"],
+    },
+    tips: [
+      "Drop tire pressure for loose surfaces",
+      "Check sealant level",
+      "Carry a paper or offline map",
+      "Clear mud from the fork crown on wet days",
+    ],
+  },
+};
+
+export const DEFAULT_PROFILE_NAME = "commuter";
+
+const getProfilesPath = () => path.join(getConfigDir(), "profiles.json");
+
+// Only a missing file means no custom profiles; anything else is reported so `profiles create`
+// and `profiles edit` never save over profiles they couldn't read.
+export const loadCustomProfiles = async () => {
+  const filePath = getProfilesPath();
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+    throw new Error(`Unable to read profiles file: ${filePath}`);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Profiles file is not valid JSON (${filePath}): ${error.message}`);
+  }
+};
+
+export const saveCustomProfiles = async (profiles) => {
+  await fs.mkdir(getConfigDir(), { recursive: true });
+  const payload = JSON.stringify(profiles, null, 2);
+  await fs.writeFile(getProfilesPath(), payload, "utf-8");
+};
+
+export const isBuiltInProfile = (name) => Object.hasOwn(BUILT_IN_PROFILES, name);
+
+const mergeProfile = (base, overrides) => ({
+  ...base,
+  ...overrides,
+  wind: { ...base.wind, ...overrides.wind },
+  rain: { ...base.rain, ...overrides.rain },
+  weights: { ...base.weights, ...overrides.weights },
+  kit: { ...base.kit, ...overrides.kit },
+});
+
+const resolveFrom = (name, customProfiles, seen = []) => {
+  if (seen.includes(name)) {
+    throw new Error(`Profile '${name}' extends itself.`);
+  }
+
+  const builtIn = BUILT_IN_PROFILES[name];
+  const custom = customProfiles[name];
+
+  if (!builtIn && !custom) {
+    throw new Error(`Unknown profile: ${name}. Run 'bike profiles list' to see available profiles.`);
+  }
+
+  if (!custom) {
+    return { ...builtIn };
+  }
+
+  const { extends: parentName, ...overrides } = custom;
+  const base = builtIn ?? resolveFrom(parentName ?? DEFAULT_PROFILE_NAME, customProfiles, [...seen, name]);
+  return mergeProfile(base, overrides);
+};
+
+export const resolveProfile = async (name) => {
+  const profileName = String(name || DEFAULT_PROFILE_NAME).toLowerCase();
+  const customProfiles = await loadCustomProfiles();
+  const profile = resolveFrom(profileName, customProfiles);
+  return {
+    name: profileName,
+    source: customProfiles[profileName] ? "custom" : "built-in",
+    ...profile,
+  };
+};
+
+export const listProfiles = async () => {
+  const customProfiles = await loadCustomProfiles();
+  const names = [...new Set([...Object.keys(BUILT_IN_PROFILES), ...Object.keys(customProfiles)])];
+  // A custom profile that can't be resolved is listed with its error rather than hiding the rest.
+  return names.map((name) => {
+    const source = customProfiles[name] ? "custom" : "built-in";
+    try {
+      return { name, description: resolveFrom(name, customProfiles).description ?? "", source };
+    } catch (error) {
+      return { name, description: "", source, error: error.message };
+    }
+  });
+};
+
+export const getDefaultProfile = () => ({
+  name: DEFAULT_PROFILE_NAME,
+  source: "built-in",
+  ...BUILT_IN_PROFILES[DEFAULT_PROFILE_NAME],
+});
+
+const fahrenheitToCelsius = (value) => ((value - 32) * 5) / 9;
+
+// Typical riding speed, in the report's wind units; profiles store mph.
+export const getProfileSpeed = (profile = getDefaultProfile(), units = {}) => {
+  const mph = Number(profile.speed) || BUILT_IN_PROFILES[DEFAULT_PROFILE_NAME].speed;
+  return units.windSpeed === "km/h" ? mph * 1.609344 : mph;
+};
+
+export const buildThresholds = (profile = getDefaultProfile(), units = {}) => {
+  const offset = Number(profile.temperatureOffset) || 0;
+  const metricTemperature = units.temperature === "°C";
+  const metricWind = units.windSpeed === "km/h";
+
+  const temperature = Object.fromEntries(
+    Object.entries(BASE_THRESHOLDS_F).map(([key, value]) => {
+      const shifted = key === "freezing" ? value : value + offset;
+      return [key, metricTemperature ? fahrenheitToCelsius(shifted) : shifted];
+    })
+  );
+
+  const toWindUnits = (value) => (metricWind ? value * 1.609344 : value);
+
+  return {
+    ...temperature,
+    windCaution: toWindUnits(profile.wind?.caution ?? 15),
+    windAlert: toWindUnits(profile.wind?.alert ?? 20),
+    gustAlert: toWindUnits(profile.wind?.gust ?? 30),
+    rainLikely: profile.rain?.likely ?? 40,
+    rainPossible: profile.rain?.possible ?? 20,
+  };
+};
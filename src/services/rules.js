@@ -0,0 +1,54 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { getConfigDir } from "./config.js";
+import { validateRules } from "../utils/wardrobe.js";
+
+const DEFAULT_RULES_URL = new URL("../rules/default.json", import.meta.url);
+
+export const getRulesPath = () => path.join(getConfigDir(), "rules.json");
+
+export const loadDefaultRules = async () => {
+  const raw = await fs.readFile(DEFAULT_RULES_URL, "utf-8");
+  return JSON.parse(raw);
+};
+
+export const readRulesFile = async (filePath) => {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw new Error(`Unable to read rules file: ${filePath}`);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Rules file is not valid JSON (${filePath}): ${error.message}`);
+  }
+};
+
+export const loadRules = async () => {
+  const filePath = getRulesPath();
+  const custom = await readRulesFile(filePath);
+
+  if (!custom) {
+    return { ruleSet: await loadDefaultRules(), source: "default" };
+  }
+
+  const errors = validateRules(custom);
+  if (errors.length) {
+    throw new Error(
+      `Rules file ${filePath} is invalid: ${errors[0]}. Run 'bike rules validate' for details.`
+    );
+  }
+
+  return { ruleSet: custom, source: filePath };
+};
+
+export const saveRules = async (ruleSet) => {
+  await fs.mkdir(getConfigDir(), { recursive: true });
+  await fs.writeFile(getRulesPath(), JSON.stringify(ruleSet, null, 2), "utf-8");
+};
@@ -0,0 +1,97 @@
+import http from "http";
+import crypto from "crypto";
+
+// Read-only JSON API for `bike serve`. `routes` maps a path to an async handler that gets the
+// query string as a plain object and returns the response body. Handlers fail by throwing; the
+// message goes back to the client as { error }, with the status taken from the error's code.
+const JSON_HEADERS = {
+  "Content-Type": "application/json; charset=utf-8",
+  "Cache-Control": "no-store",
+};
+
+// BAD_INPUT: the request is wrong; UPSTREAM: a weather provider failed. Anything else is ours.
+const ERROR_STATUS = { BAD_INPUT: 400, UPSTREAM: 502 };
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { ...JSON_HEADERS, ...headers });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+};
+
+// Browsers only let a page read responses that name its origin, so without corsOrigin no web
+// page can read the rider's data, even from a server on 127.0.0.1.
+const buildCorsHeaders = (req, corsOrigin) =>
+  corsOrigin && req.headers.origin === corsOrigin ? { "Access-Control-Allow-Origin": corsOrigin, Vary: "Origin" } : {};
+
+const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+
+// Token from "Authorization: Bearer <token>" or ?token= (for clients that can't set headers).
+const readToken = (req, url) => {
+  const header = req.headers.authorization ?? "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : url.searchParams.get("token");
+};
+
+const isAuthorized = (req, url, token) => {
+  if (!token) {
+    return true;
+  }
+  const provided = readToken(req, url);
+  return Boolean(provided) && crypto.timingSafeEqual(digest(provided), digest(token));
+};
+
+export const createApiServer = ({ routes, token = null, corsOrigin = null, onRequest = () => {} }) =>
+  http.createServer(async (req, res) => {
+    const startedAt = Date.now();
+    const url = new URL(req.url, "http://localhost");
+    const corsHeaders = buildCorsHeaders(req, corsOrigin);
+    const respond = (status, body, headers) => {
+      sendJson(res, status, body, { ...corsHeaders, ...headers });
+      onRequest({ method: req.method, path: url.pathname, status, durationMs: Date.now() - startedAt });
+    };
+
+    if (req.method === "OPTIONS" && corsHeaders["Access-Control-Allow-Origin"]) {
+      res.writeHead(204, {
+        ...corsHeaders,
+        "Access-Control-Allow-Methods": "GET",
+        "Access-Control-Allow-Headers": "Authorization",
+      });
+      res.end();
+      return;
+    }
+    if (req.method !== "GET") {
+      respond(405, { error: "Only GET requests are supported" }, { Allow: "GET" });
+      return;
+    }
+    if (!isAuthorized(req, url, token)) {
+      respond(401, { error: "Missing or invalid token" }, { "WWW-Authenticate": "Bearer" });
+      return;
+    }
+
+    const path = url.pathname.replace(/\/+$/, "") || "/";
+    if (path === "/") {
+      respond(200, { endpoints: Object.keys(routes) });
+      return;
+    }
+    const handler = routes[path];
+    if (!handler) {
+      respond(404, { error: `Unknown endpoint: ${path}`, endpoints: Object.keys(routes) });
+      return;
+    }
+
+    try {
+      const query = Object.fromEntries(
+        [...url.searchParams].filter(([key]) => key !== "token")
+      );
+      respond(200, await handler(query));
+    } catch (error) {
+      respond(ERROR_STATUS[error.code] ?? 500, { error: error.message });
+    }
+  });
+
+export const listen = (server, { port, host }) =>
+  new Promise((resolve, reject) => {
+    server.once("error", (error) => {
+      reject(error.code === "EADDRINUSE" ? new Error(`Port ${port} is already in use on ${host}.`) : error);
+    });
+    server.listen(port, host, () => resolve(server.address()));
+  });
@@ -98,7 +98,12 @@ export const syncActivities = async ({
           added++;
         }
 
-        data.activities.push(activityData);
+        // Keep the weather from `bike rides annotate`; Strava doesn't send it.
+        upsertActivity(data, {
+          ...activityData,
+          ...(existingActivity?.createdAt ? { createdAt: existingActivity.createdAt } : {}),
+          ...(existingActivity?.weather ? { weather: existingActivity.weather } : {}),
+        });
       }
 
       if (activities.length < perPage) {
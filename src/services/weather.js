@@ -0,0 +1,110 @@
+import { loadConfig, getConfigDefaults } from "./config.js";
+import * as openMeteo from "./openMeteo.js";
+import * as nws from "./nws.js";
+import * as metNorway from "./metNorway.js";
+import * as fixtureWeather from "./fixtureWeather.js";
+
+export { describeWeatherCode } from "./openMeteo.js";
+
+const DEFAULT_PROVIDER = "open-meteo";
+
+// MET Norway reports in UTC, so locations without a geocoded timezone get one looked up.
+// Without it, the provider falls back to UTC rather than the machine's clock.
+const withTimezone = async (location) => {
+  if (location.timezone) {
+    return location;
+  }
+  try {
+    return { ...location, timezone: await openMeteo.lookupTimezone(location.latitude, location.longitude) };
+  } catch (error) {
+    return location;
+  }
+};
+
+// Every provider returns weather in the Open-Meteo shape the rest of the CLI reads.
+// Providers without their own geocoder, archive, or ensemble fall back to Open-Meteo for those.
+const PROVIDERS = {
+  "open-meteo": {
+    label: "Open-Meteo",
+    cacheable: true,
+    geocode: (query) => openMeteo.geocodeLocation(query),
+    forecast: (location, units) => openMeteo.fetchWeather(location.latitude, location.longitude, units),
+    history: (location, range) => openMeteo.fetchHistory(location.latitude, location.longitude, range),
+    ensemble: (location, units) => openMeteo.fetchEnsemble(location.latitude, location.longitude, units),
+  },
+  nws: {
+    label: "US National Weather Service",
+    cacheable: true,
+    geocode: (query) => openMeteo.geocodeLocation(query),
+    forecast: (location, units) => nws.fetchWeather(location, units),
+    history: (location, range) => openMeteo.fetchHistory(location.latitude, location.longitude, range),
+    ensemble: (location, units) => openMeteo.fetchEnsemble(location.latitude, location.longitude, units),
+  },
+  "met-norway": {
+    label: "MET Norway",
+    cacheable: true,
+    geocode: (query) => openMeteo.geocodeLocation(query),
+    forecast: async (location, units) => metNorway.fetchWeather(await withTimezone(location), units),
+    history: (location, range) => openMeteo.fetchHistory(location.latitude, location.longitude, range),
+    ensemble: (location, units) => openMeteo.fetchEnsemble(location.latitude, location.longitude, units),
+  },
+  fixture: {
+    label: "Recorded fixture",
+    cacheable: false,
+    local: true,
+    geocode: (query, settings) => fixtureWeather.geocodeLocation(query, settings.fixture),
+    forecast: (location, units, settings) => fixtureWeather.fetchWeather(units, settings.fixture),
+    history: (location, range, settings) => fixtureWeather.fetchHistory(range.units, settings.fixture),
+    ensemble: (location, units, settings) => fixtureWeather.fetchEnsemble(units, settings.fixture),
+  },
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export const normalizeProvider = (value) => {
+  const name = String(value ?? "").trim().toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown weather provider '${value}'. Use one of: ${PROVIDER_NAMES.join(", ")}.`);
+  }
+  return name;
+};
+
+export const resolveProvider = async () => {
+  const config = await loadConfig();
+  const settings = { ...getConfigDefaults().weather, ...config.weather };
+  const name = normalizeProvider(settings.provider ?? DEFAULT_PROVIDER);
+  return { name, settings, ...PROVIDERS[name] };
+};
+
+// Failures from remote providers get code UPSTREAM so the JSON API can tell an outage from a
+// bad request. Errors that already carry a code (an unknown location is BAD_INPUT) keep it.
+const callProvider = async (provider, call) => {
+  try {
+    return await call();
+  } catch (error) {
+    if (!provider.local && typeof error.code !== "string") {
+      error.code = "UPSTREAM";
+    }
+    throw error;
+  }
+};
+
+export const geocodeLocation = async (query) => {
+  const provider = await resolveProvider();
+  return callProvider(provider, () => provider.geocode(query, provider.settings));
+};
+
+export const fetchForecast = async (location, units) => {
+  const provider = await resolveProvider();
+  return callProvider(provider, () => provider.forecast(location, units, provider.settings));
+};
+
+export const fetchHistory = async (location, { startDate, endDate, units }) => {
+  const provider = await resolveProvider();
+  return callProvider(provider, () => provider.history(location, { startDate, endDate, units }, provider.settings));
+};
+
+export const fetchEnsemble = async (location, units) => {
+  const provider = await resolveProvider();
+  return callProvider(provider, () => provider.ensemble(location, units, provider.settings));
+};
@@ -0,0 +1,77 @@
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const WETTER_MARGIN = 15;
+
+export const parseClockTime = (value, label) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? "").trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${label} must look like HH:MM.`);
+  }
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+};
+
+export const parseWeekdays = (value) => {
+  const days = String(value ?? "")
+    .split(",")
+    .map((day) => day.trim().toLowerCase().slice(0, 3))
+    .filter(Boolean);
+
+  const unknown = days.filter((day) => !WEEKDAYS.includes(day));
+  if (unknown.length || !days.length) {
+    throw new Error(`Commute days must be a comma-separated list of ${WEEKDAYS.join(", ")}.`);
+  }
+
+  return WEEKDAYS.filter((day) => days.includes(day));
+};
+
+export const weekdayOf = (dateKey) => WEEKDAYS[new Date(`${dateKey}T12:00`).getDay()];
+
+export const isCommuteDay = (dateKey, weekdays) => weekdays.includes(weekdayOf(dateKey));
+
+const appendUnique = (target, items) => {
+  items.forEach((item) => {
+    if (!target.includes(item)) {
+      target.push(item);
+    }
+  });
+  return target;
+};
+
+export const mergeRecommendations = (recommendations) =>
+  recommendations.reduce(
+    (merged, recommendation) => ({
+      essentials: appendUnique(merged.essentials, recommendation.essentials),
+      extras: appendUnique(merged.extras, recommendation.extras),
+      alerts: appendUnique(merged.alerts, recommendation.alerts),
+    }),
+    { essentials: [], extras: [], alerts: [] }
+  );
+
+export const buildCommuteFlags = ({ morning, evening, eveningEnd, sunset, thresholds }) => {
+  const flags = [];
+  const clock = (time) => time?.split("T")[1]?.slice(0, 5);
+
+  const endMs = Date.parse(eveningEnd ?? "");
+  const sunsetMs = Date.parse(sunset ?? "");
+  const lightsNeeded = Number.isFinite(endMs) && Number.isFinite(sunsetMs) && endMs > sunsetMs;
+  if (lightsNeeded) {
+    flags.push(`Ride home ends after sunset (${clock(sunset)}) — bring lights`);
+  }
+
+  const isWet = (snapshot) =>
+    snapshot.precipProbability >= thresholds.rainLikely ||
+    snapshot.precipitation >= snapshot.precipitationThreshold;
+  const muchWetter =
+    evening.precipProbability >= morning.precipProbability + WETTER_MARGIN &&
+    evening.precipProbability >= thresholds.rainPossible;
+
+  if ((isWet(evening) && !isWet(morning)) || muchWetter) {
+    flags.push(
+      `Ride home is wetter (${Math.round(evening.precipProbability)}% vs ${Math.round(
+        morning.precipProbability
+      )}% chance of rain) — pack rain gear`
+    );
+  }
+
+  return { flags, lightsNeeded };
+};
@@ -0,0 +1,171 @@
+// Forecast confidence for one ride window. Every check that lowers confidence adds a reason.
+const LEVELS = ["high", "medium", "low"];
+
+const RAIN_PROBABILITY = { medium: 40, low: 70 };
+const LEAD_HOURS = { medium: 72, low: 120 };
+const TEMPERATURE_SPREAD = {
+  "°F": { medium: 4, low: 7 },
+  "°C": { medium: 2, low: 4 },
+};
+const MEASURABLE_RAIN = { in: 0.004, mm: 0.1 };
+const MEMBER_SPLIT = { medium: 0.1, low: 0.25 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const worstLevel = (levels) =>
+  levels.reduce((worst, level) => (LEVELS.indexOf(level) > LEVELS.indexOf(worst) ? level : worst), "high");
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Indexes of the hours overlapping [start, end); the hour containing start always counts.
+const findWindowIndexes = (times, start, end) => {
+  const firstHour = `${start.slice(0, 13)}:00`;
+  const indexes = times
+    .map((time, index) => (time >= firstHour && time < end ? index : -1))
+    .filter((index) => index !== -1);
+  if (indexes.length || !times.length) {
+    return indexes;
+  }
+  const closest = times.reduce(
+    (best, time, index) =>
+      Math.abs(Date.parse(time) - Date.parse(start)) < Math.abs(Date.parse(times[best]) - Date.parse(start))
+        ? index
+        : best,
+    0
+  );
+  return [closest];
+};
+
+// Ensemble hourly data holds the control run as `temperature_2m` and members as `temperature_2m_member01`, ...
+const collectMembers = (ensemble, variable) =>
+  Object.entries(ensemble)
+    .filter(([key]) => key === variable || key.startsWith(`${variable}_member`))
+    .map(([, values]) => values);
+
+export const summarizeEnsemble = ({ ensemble, units, start, end }) => {
+  const indexes = findWindowIndexes(ensemble?.time ?? [], start, end);
+  if (!indexes.length) {
+    return null;
+  }
+
+  const temperatures = collectMembers(ensemble, "temperature_2m");
+  const precipitation = collectMembers(ensemble, "precipitation");
+  const hourRanges = indexes
+    .map((index) => temperatures.map((member) => member[index]).filter(Number.isFinite))
+    .filter((values) => values.length);
+  const totals = precipitation
+    .map((member) => indexes.map((index) => member[index]).filter(Number.isFinite))
+    .filter((values) => values.length)
+    .map((values) => values.reduce((sum, value) => sum + value, 0));
+
+  if (!hourRanges.length && !totals.length) {
+    return null;
+  }
+
+  const allTemperatures = hourRanges.flat();
+  const measurable = MEASURABLE_RAIN[units.precipitation] ?? MEASURABLE_RAIN.mm;
+  const precipDigits = units.precipitation === "in" ? 2 : 1;
+
+  return {
+    members: Math.max(temperatures.length, precipitation.length),
+    temperature: hourRanges.length
+      ? {
+          min: round(Math.min(...allTemperatures), 1),
+          max: round(Math.max(...allTemperatures), 1),
+          spread: round(Math.max(...hourRanges.map((values) => Math.max(...values) - Math.min(...values))), 1),
+        }
+      : null,
+    precipitation: totals.length
+      ? {
+          min: round(Math.min(...totals), precipDigits),
+          max: round(Math.max(...totals), precipDigits),
+          spread: round(Math.max(...totals) - Math.min(...totals), precipDigits),
+          membersWithRain: totals.filter((total) => total >= measurable).length,
+          members: totals.length,
+        }
+      : null,
+  };
+};
+
+const rateRainProbability = (data, indexes, start) => {
+  const probabilities = indexes
+    .map((index) => ({ time: data.hourly.time[index], value: data.hourly.precipitation_probability?.[index] }))
+    .filter((entry) => Number.isFinite(entry.value));
+  if (!probabilities.length) {
+    return { level: "medium", reason: "No rain probability for this window", max: null };
+  }
+
+  const peak = probabilities.reduce((top, entry) => (entry.value > top.value ? entry : top));
+  const when = peak.time.slice(0, 13) === start.slice(0, 13) ? "" : ` at ${peak.time.slice(11, 16)}`;
+  const reason = `${Math.round(peak.value)}% chance of rain${when}`;
+  if (peak.value >= RAIN_PROBABILITY.low) {
+    return { level: "low", reason, max: peak.value };
+  }
+  if (peak.value >= RAIN_PROBABILITY.medium) {
+    return { level: "medium", reason, max: peak.value };
+  }
+  return { level: "high", reason: null, max: peak.value };
+};
+
+const rateLeadTime = (data, start) => {
+  const now = data.current_weather?.time;
+  const hoursAhead = now ? (Date.parse(start) - Date.parse(now)) / HOUR_MS : 0;
+  if (!Number.isFinite(hoursAhead)) {
+    return { level: "high", reason: null };
+  }
+  const days = Math.round(hoursAhead / 24);
+  if (hoursAhead >= LEAD_HOURS.low) {
+    return { level: "low", reason: `Ride is ${days} days out` };
+  }
+  if (hoursAhead >= LEAD_HOURS.medium) {
+    return { level: "medium", reason: `Ride is ${days} days out` };
+  }
+  return { level: "high", reason: null };
+};
+
+const rateSpread = (spread, units) => {
+  const ratings = [];
+  const temperatureLimits = TEMPERATURE_SPREAD[units.temperature] ?? TEMPERATURE_SPREAD["°C"];
+
+  if (spread.temperature) {
+    const { spread: range } = spread.temperature;
+    const reason = `Ensemble members differ by up to ${Math.round(range)}${units.temperature}`;
+    if (range >= temperatureLimits.low) {
+      ratings.push({ level: "low", reason });
+    } else if (range >= temperatureLimits.medium) {
+      ratings.push({ level: "medium", reason });
+    }
+  }
+
+  if (spread.precipitation?.members) {
+    const { membersWithRain, members } = spread.precipitation;
+    const share = membersWithRain / members;
+    const split = Math.min(share, 1 - share);
+    const reason = `${membersWithRain} of ${members} ensemble members show rain`;
+    if (split >= MEMBER_SPLIT.low) {
+      ratings.push({ level: "low", reason });
+    } else if (split >= MEMBER_SPLIT.medium) {
+      ratings.push({ level: "medium", reason });
+    }
+  }
+
+  return ratings;
+};
+
+// Rates only the hours between start and end, so rain later in the week doesn't lower
+// confidence for a morning ride. With ensemble data, disagreement between members counts too.
+export const assessConfidence = ({ data, units, start, end, ensemble = null }) => {
+  const indexes = findWindowIndexes(data.hourly?.time ?? [], start, end);
+  const rain = rateRainProbability(data, indexes, start);
+  const spread = ensemble ? summarizeEnsemble({ ensemble, units, start, end }) : null;
+  const ratings = [rain, rateLeadTime(data, start), ...(spread ? rateSpread(spread, units) : [])];
+  const level = worstLevel(ratings.map((rating) => rating.level));
+
+  return {
+    level,
+    reasons: ratings.filter((rating) => rating.level !== "high" && rating.reason).map((rating) => rating.reason),
+    window: { start, end },
+    maxPrecipProbability: rain.max,
+    spread,
+  };
+};
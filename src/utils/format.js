@@ -15,6 +15,19 @@ const fallbackTheme = {
 const buildDivider = (label, theme) =>
   theme.muted("-".repeat(Math.max(20, label.length)));
 
+export const formatForecastAge = (minutes) => {
+  if (minutes < 120) {
+    return `${minutes} min ago`;
+  }
+  if (minutes < 48 * 60) {
+    return `${Math.round(minutes / 60)} h ago`;
+  }
+  return `${Math.round(minutes / (24 * 60))} days ago`;
+};
+
+const renderStaleNotice = (stale, theme) =>
+  stale ? [theme.warn(`! Offline — forecast from ${formatForecastAge(stale.ageMinutes)}`)] : [];
+
 const formatNumber = (value, digits = 0) => {
   if (!Number.isFinite(value)) {
     return "–";
@@ -30,20 +43,37 @@ const formatHour = (time) => {
   return clock.slice(0, 5);
 };
 
+// Times are wall-clock at the location, so they're formatted as UTC to keep the machine's
+// timezone out of it. A bare date ("2025-01-18", from daily forecasts) is read as midnight.
+const parseWallClock = (time) => {
+  const value = String(time);
+  const wallClock = /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00` : value.slice(0, 16);
+  return new Date(`${wallClock}:00Z`);
+};
+
 const formatDisplayTime = (time) => {
   if (!time) {
     return "";
   }
-  const date = new Date(time);
+  const date = parseWallClock(time);
   if (!Number.isFinite(date.getTime())) {
     return time;
   }
   return date.toLocaleTimeString("en-US", {
     hour: "numeric",
     minute: "2-digit",
+    timeZone: "UTC",
   });
 };
 
+const formatDisplayDay = (time) => {
+  const date = parseWallClock(time);
+  if (!Number.isFinite(date.getTime())) {
+    return "";
+  }
+  return date.toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric", timeZone: "UTC" });
+};
+
 export const toCardinalDirection = (degrees) => {
   if (!Number.isFinite(degrees)) {
     return "";
@@ -89,6 +119,36 @@ export const formatCurrentConditions = (current) => ({
   precipitationProbability: formatNumber(current.precipProbability, 0),
 });
 
+const formatScore = (score, theme, prefix = "") => {
+  const text = `${prefix}${formatNumber(score, 0)}`;
+  if (score >= 75) {
+    return theme.good(text);
+  }
+  if (score >= 50) {
+    return theme.accent(text);
+  }
+  return theme.warn(text);
+};
+
+const renderScoreBreakdown = ({ score, theme }) => {
+  const table = new Table({
+    head: [theme.dim("Factor"), theme.dim("Points"), theme.dim("Weight"), theme.dim("Why")],
+    style: { head: [], border: [] },
+  });
+
+  score.factors.forEach((factor) => {
+    const points = factor.points ? formatNumber(factor.points, 1) : "0";
+    table.push([
+      factor.factor,
+      factor.points <= -10 ? theme.warn(points) : points,
+      `×${factor.weight}`,
+      theme.muted(factor.detail),
+    ]);
+  });
+
+  return [table.toString(), `${theme.muted("Score:")} 100 → ${formatScore(score.score, theme)} (${score.rating})`].join("\n");
+};
+
 const renderHourlyTable = ({ hourly, units, theme }) => {
   const table = new Table({
     head: [
@@ -97,8 +157,9 @@ const renderHourlyTable = ({ hourly, units, theme }) => {
       theme.dim(`Feels ${units.temperature}`),
       theme.dim(`Wind ${units.windSpeed}`),
       theme.dim("Precip"),
+      theme.dim("Score"),
     ],
-    colWidths: [8, 10, 10, 12, 20],
+    colWidths: [8, 10, 10, 12, 20, 8],
     wordWrap: true,
     style: { head: [], border: [] },
   });
@@ -124,24 +185,31 @@ const renderHourlyTable = ({ hourly, units, theme }) => {
       feelsCell,
       `${windCell}`,
       precipCell,
+      Number.isFinite(entry.score) ? formatScore(entry.score, theme) : "–",
     ]);
   });
 
   return table.toString();
 };
 
-const renderDaylight = ({ daylight, theme }) => {
+const renderDaylight = ({ daylight, lighting, theme }) => {
   if (!daylight) {
     return theme.muted("Daylight data unavailable");
   }
 
-  const sunrise = formatHour(daylight.sunrise);
-  const sunset = formatHour(daylight.sunset);
-  const lines = [`Sunrise ${sunrise}`, `Sunset ${sunset}`];
+  const lines = [
+    daylight.dawn ? `First light ${formatHour(daylight.dawn)}` : null,
+    `Sunrise ${formatHour(daylight.sunrise)}`,
+    `Sunset ${formatHour(daylight.sunset)}`,
+    daylight.dusk ? `Dark ${formatHour(daylight.dusk)}` : null,
+  ].filter(Boolean);
 
   if (daylight.warning) {
     lines.push(theme.warn(`! ${daylight.warning}`));
   }
+  if (lighting?.advice) {
+    lines.push(theme.warn(`! ${lighting.advice}`));
+  }
 
   return lines.join("\n");
 };
@@ -175,11 +243,57 @@ const formatConfidence = (confidence, theme) => {
   return theme.accent(confidence);
 };
 
+const renderSafetyVerdict = (safety, theme) => {
+  if (!safety) {
+    return [];
+  }
+  const color = safety.verdict === "GO" ? theme.good : safety.verdict === "CAUTION" ? theme.warn : theme.bad;
+  const summary = safety.reasons.length ? safety.reasons[0] : "No severe weather during the ride";
+  return [
+    `${color(safety.verdict)} ${theme.muted("—")} ${summary}`,
+    ...safety.reasons.slice(1).map((reason) => color(`  ! ${reason}`)),
+  ];
+};
+
+const renderConfidenceDetail = ({ confidence, detail, units, theme }) => {
+  if (!detail) {
+    return [];
+  }
+  const lines = [];
+  if (confidence !== "high" && detail.reasons?.length) {
+    lines.push(`${theme.muted(`Why ${confidence}:`)} ${detail.reasons.join("; ")}`);
+  }
+  const { spread } = detail;
+  if (spread) {
+    const parts = [];
+    if (spread.temperature) {
+      const { min, max, spread: range } = spread.temperature;
+      parts.push(
+        `${formatNumber(min, 0)}–${formatNumber(max, 0)}${units.temperature} (spread ${formatNumber(range, 1)}${units.temperature})`
+      );
+    }
+    if (spread.precipitation) {
+      const { min, max, membersWithRain, members } = spread.precipitation;
+      const digits = units.precipitation === "in" ? 2 : 1;
+      parts.push(
+        `${formatNumber(min, digits)}–${formatNumber(max, digits)} ${units.precipitation} rain, ${membersWithRain}/${members} members wet`
+      );
+    }
+    lines.push(`${theme.muted(`Ensemble (${spread.members} members):`)} ${parts.join(" · ")}`);
+  } else if (detail.ensembleError) {
+    lines.push(theme.muted(`Ensemble: ${detail.ensembleError}`));
+  }
+  return lines;
+};
+
 const formatRoadStatus = (status, theme) => {
   if (!status) {
     return "";
   }
-  if (status === "wet") {
+  if (status === "possible black ice" || status === "snow") {
+    return theme.bad(status);
+  }
+  if (status === "wet" || status === "puddles") {
     return theme.warn(status);
   }
   if (status === "damp") {
@@ -191,7 +305,104 @@ const formatRoadStatus = (status, theme) => {
   return theme.muted(status);
 };
 
-const renderConditions = ({ current, theme }) => {
+const formatHeadwind = (headwind, theme) => {
+  if (!Number.isFinite(headwind)) {
+    return "–";
+  }
+  const value = formatNumber(Math.abs(headwind), 0);
+  if (value === "0") {
+    return "0";
+  }
+  return headwind > 0 ? theme.warn(`${value} head`) : theme.good(`${value} tail`);
+};
+
+const describeWindLeg = (leg, windUnit) => {
+  if (!Number.isFinite(leg.headwind)) {
+    return "wind direction unavailable";
+  }
+  const along = Math.abs(leg.headwind);
+  const parts = [];
+  if (Math.round(along) > 0) {
+    parts.push(`${formatNumber(along, 0)} ${windUnit} ${leg.headwind > 0 ? "headwind" : "tailwind"}`);
+  }
+  if (Math.round(leg.crosswind) > 0) {
+    parts.push(`${formatNumber(leg.crosswind, 0)} ${windUnit} crosswind`);
+  }
+  return parts.length ? parts.join(", ") : "calm";
+};
+
+const renderWindSection = ({ wind, units, theme }) => {
+  const lines = wind.legs.map((leg) => {
+    const label = leg.direction ? `${leg.label} (${leg.direction}):` : `${leg.label}:`;
+    const text = describeWindLeg(leg, units.windSpeed);
+    return `${theme.muted(label)} ${leg.headwind > 0 ? theme.warn(text) : theme.accent(text)}`;
+  });
+  if (wind.advice) {
+    lines.push(theme.body(`→ ${wind.advice}`));
+  }
+  return lines.join("\n");
+};
+
+const formatVisibility = (meters, distanceUnit = "km") => {
+  const value = distanceUnit === "mi" ? meters / 1609.344 : meters / 1000;
+  return `${formatNumber(value, 1)}${distanceUnit}`;
+};
+
+// gustAlert is the profile's gust threshold, already in the snapshot's wind units.
+const renderAirAndSky = ({ current, gustAlert, theme }) => {
+  const parts = [];
+  if (Number.isFinite(current.windGusts)) {
+    const gusts = `${formatNumber(current.windGusts, 0)}${current.units.windSpeed}`;
+    const gusty = Number.isFinite(gustAlert) && current.windGusts >= gustAlert;
+    parts.push(`${theme.muted("Gusts:")} ${gusty ? theme.warn(gusts) : gusts}`);
+  }
+  if (Number.isFinite(current.uvIndex)) {
+    const uv = formatNumber(current.uvIndex, 0);
+    parts.push(`${theme.muted("UV:")} ${current.uvIndex >= 6 ? theme.warn(uv) : uv}`);
+  }
+  if (Number.isFinite(current.visibility)) {
+    const visibility = formatVisibility(current.visibility, current.units.distance);
+    parts.push(`${theme.muted("Visibility:")} ${current.visibility < 1000 ? theme.warn(visibility) : visibility}`);
+  }
+  if (Number.isFinite(current.aqi)) {
+    const pm25 = Number.isFinite(current.pm25) ? ` (PM2.5 ${formatNumber(current.pm25, 0)})` : "";
+    const aqi = `${formatNumber(current.aqi, 0)}${pm25}`;
+    parts.push(`${theme.muted("AQI:")} ${current.aqi > 100 ? theme.warn(aqi) : aqi}`);
+  }
+  return parts.length ? parts.join("   ") : null;
+};
+
+const SPEED_SOURCES = { "--speed": "--speed", "synced rides": "your synced rides", profile: "profile speed" };
+
+const renderRideFeel = ({ rideFeel, units, theme }) => {
+  if (!rideFeel) {
+    return null;
+  }
+  const speed = `${formatNumber(rideFeel.speed, 0)} ${units.windSpeed}`;
+  const source = SPEED_SOURCES[rideFeel.speedSource];
+  const parts = [
+    `${theme.muted("On the bike:")} feels ${formatTemperature(rideFeel.feelsLike, units.temperature, theme)} at ${speed}${
+      source ? ` ${theme.muted(`(${source})`)}` : ""
+    }`,
+    `${theme.muted("Sweat:")} ${rideFeel.sweat === "heavy" ? theme.warn(rideFeel.sweat) : rideFeel.sweat}`,
+  ];
+  if (rideFeel.heatStress && rideFeel.heatStress !== "none") {
+    const level = rideFeel.heatStress;
+    parts.push(`${theme.muted("Heat stress:")} ${level.includes("danger") ? theme.bad(level) : theme.warn(level)}`);
+  }
+  return parts.join("   ");
+};
+
+const renderRequestedTime = (requestedTime, theme) => {
+  if (!requestedTime) {
+    return [];
+  }
+  const zone = requestedTime.timezone ? ` ${requestedTime.timezone}` : "";
+  const when = `${formatDisplayDay(requestedTime.time)}, ${formatDisplayTime(requestedTime.time)}${zone}`;
+  return [`${theme.muted("Time:")} ${theme.accent(when)} ${theme.muted(`("${requestedTime.input}")`)}`];
+};
+
+const renderConditions = ({ current, rideFeel, gustAlert, theme }) => {
   const formatted = formatCurrentConditions(current);
   const windValue = `${formatted.windSpeed}${current.units.windSpeed}`;
   const wind = `${windValue} ${current.windDirection}`.trim();
@@ -203,19 +414,36 @@ const renderConditions = ({ current, theme }) => {
 
   return [
     `${theme.muted("Temp:")} ${temperatureText} (feels ${feelsText})   ${theme.muted("Wind:")} ${windText}`,
+    renderRideFeel({ rideFeel, units: current.units, theme }),
     `${theme.muted("Precip:")} ${precipText}   ${current.summary}`,
-  ].join("\n");
+    renderAirAndSky({ current, gustAlert, theme }),
+  ]
+    .filter(Boolean)
+    .join("\n");
 };
 
 export const renderReport = ({
   location,
   current,
+  requestedTime,
+  safety,
+  score,
+  explain = false,
   recommendation,
   tips,
   daylight,
+  lighting,
   hourly,
   confidence,
+  confidenceDetail,
+  rideFeel,
+  gustAlert,
   roadStatus,
+  roadReason,
+  wind,
+  route,
+  profile,
+  stale,
   emojiEnabled = true,
   theme,
   quiet = false,
@@ -240,25 +468,48 @@ export const renderReport = ({
   const sections = [
     header,
     divider,
+    ...renderRequestedTime(requestedTime, theme),
+    ...renderSafetyVerdict(safety, theme),
+    ...renderStaleNotice(stale, theme),
     "",
     theme.section("Conditions"),
-    renderConditions({ current, theme }),
+    renderConditions({ current, rideFeel, gustAlert, theme }),
   ];
 
-  if (roadStatus || confidence) {
+  if (roadStatus || confidence || profile || score) {
     const meta = [];
+    if (score) {
+      meta.push(`${theme.muted("Score:")} ${formatScore(score.score, theme)} ${theme.muted(`(${score.rating})`)}`);
+    }
     if (roadStatus) {
-      meta.push(`${theme.muted("Roads:")} ${formatRoadStatus(roadStatus, theme)}`);
+      const reason = roadReason ? ` ${theme.muted(`(${roadReason})`)}` : "";
+      meta.push(`${theme.muted("Roads:")} ${formatRoadStatus(roadStatus, theme)}${reason}`);
     }
     if (confidence) {
       meta.push(`${theme.muted("Confidence:")} ${formatConfidence(confidence, theme)}`);
     }
+    if (profile) {
+      meta.push(`${theme.muted("Profile:")} ${theme.accent(profile.name)}`);
+    }
     sections.push(meta.join("   "));
+    sections.push(...renderConfidenceDetail({ confidence, detail: confidenceDetail, units: current.units, theme }));
+  }
+
+  if (explain && score) {
+    sections.push("", theme.section("Score breakdown"), renderScoreBreakdown({ score, theme }));
+  }
+
+  if (route) {
+    sections.push("", theme.section("Route"), renderRouteSection({ route, units: current.units, theme }));
+  }
+
+  if (wind) {
+    sections.push("", theme.section("Wind"), renderWindSection({ wind, units: current.units, theme }));
   }
 
   sections.push(
     "",
-    theme.section("Wear"),
+    theme.section(route ? "Wear (worst case)" : "Wear"),
     renderList(recommendation.essentials, wearIcon, theme, "standard kit"),
     "",
     theme.section("Bring"),
@@ -278,7 +529,7 @@ export const renderReport = ({
   }
 
   if (daylight) {
-    sections.push("", theme.section("Daylight"), renderDaylight({ daylight, theme }));
+    sections.push("", theme.section("Daylight"), renderDaylight({ daylight, lighting, theme }));
   }
 
   if (hourly?.length) {
@@ -298,7 +549,7 @@ export const renderChecklist = ({
   return [theme.section(title), renderList(items, icon, theme, emptyLabel)].join("\n");
 };
 
-export const renderRouteSummary = ({ location, current, theme, emojiEnabled = true }) => {
+export const renderRouteSummary = ({ location, current, gustAlert, wind, stale, theme, emojiEnabled = true }) => {
   const timestamp = formatDisplayTime(current.time);
   const bikeIcon = emojiEnabled ? "🚴" : "Bike";
   const headerText = `${bikeIcon} Route summary — ${timestamp}, ${location.displayName}`;
@@ -307,8 +558,8 @@ export const renderRouteSummary = ({ location, current, theme, emojiEnabled = tr
   const formatted = formatCurrentConditions(current);
 
   const windValue = `${formatted.windSpeed}${current.units.windSpeed}`;
-  const wind = `${windValue} ${current.windDirection}`.trim();
-  const windText = Number(current.windSpeed) >= 15 ? theme.warn(wind) : theme.accent(wind);
+  const windLabel = `${windValue} ${current.windDirection}`.trim();
+  const windText = Number(current.windSpeed) >= 15 ? theme.warn(windLabel) : theme.accent(windLabel);
   const precip = `${formatted.precipitationProbability}% · ${formatted.precipitation}${current.units.precipitation}`;
   const precipText = current.precipProbability >= 40 ? theme.warn(precip) : precip;
 
@@ -322,9 +573,844 @@ export const renderRouteSummary = ({ location, current, theme, emojiEnabled = tr
     `${theme.muted("Temp:")} ${temperatureText} (feels ${feelsText})`,
   ];
 
-  return [header, divider, "", ...lines].join("\n");
+  const airAndSky = renderAirAndSky({ current, gustAlert, theme });
+  if (airAndSky) {
+    lines.push(airAndSky);
+  }
+
+  if (wind) {
+    lines.push("", theme.section("Wind"), renderWindSection({ wind, units: current.units, theme }));
+  }
+
+  return [header, divider, ...renderStaleNotice(stale, theme), "", ...lines].join("\n");
+};
+
+const formatDuration = (minutes) => {
+  if (!Number.isFinite(minutes)) {
+    return "–";
+  }
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  const remainder = rounded % 60;
+  return hours ? `${hours}h ${String(remainder).padStart(2, "0")}m` : `${remainder}m`;
+};
+
+const renderRouteSegmentsTable = ({ segments, units, theme }) => {
+  const distanceLabel = units.distance ?? "km";
+  const elevationLabel = distanceLabel === "mi" ? "ft" : "m";
+  const showElevation = segments.some((segment) => Number.isFinite(segment.elevation));
+  const head = [
+    theme.dim(`Dist ${distanceLabel}`),
+    ...(showElevation ? [theme.dim(`Elev ${elevationLabel}`)] : []),
+    theme.dim("ETA"),
+    theme.dim(`Temp ${units.temperature}`),
+    theme.dim(`Feels ${units.temperature}`),
+    theme.dim(`Wind ${units.windSpeed}`),
+    theme.dim("Head/Tail"),
+    theme.dim("Precip"),
+    theme.dim("Sky"),
+  ];
+  const table = new Table({
+    head,
+    colWidths: [9, ...(showElevation ? [9] : []), 8, 10, 10, 12, 11, 18, 18],
+    wordWrap: true,
+    style: { head: [], border: [] },
+  });
+
+  segments.forEach((segment) => {
+    const precipAmount = formatNumber(
+      segment.precipitation,
+      units.precipitation === "in" ? 2 : 1
+    );
+    const precipText = `${formatNumber(segment.precipProbability, 0)}% · ${precipAmount}${units.precipitation}`;
+    const precipCell = Number(segment.precipProbability) >= 40 ? theme.warn(precipText) : precipText;
+    const windValue = `${formatNumber(segment.windSpeed, 0)} ${segment.windDirection ?? ""}`.trim();
+    const windCell = Number(segment.windSpeed) >= 15 ? theme.warn(windValue) : windValue;
+
+    table.push([
+      formatNumber(segment.distance, 1),
+      ...(showElevation ? [formatNumber(segment.elevation, 0)] : []),
+      formatHour(segment.eta),
+      formatTemperature(segment.temperature, units.temperature, theme),
+      formatTemperature(segment.feelsLike, units.temperature, theme),
+      windCell,
+      formatHeadwind(segment.headwind, theme),
+      precipCell,
+      segment.summary,
+    ]);
+  });
+
+  return table.toString();
+};
+
+const renderRouteHighlights = ({ highlights, theme }) => {
+  if (!highlights?.length) {
+    return theme.good("No rain or cold expected along the route");
+  }
+  return highlights.map((highlight) => theme.warn(`! ${highlight}`)).join("\n");
+};
+
+const renderRouteSection = ({ route, units, theme }) => {
+  const distanceLabel = units.distance ?? "km";
+  const elevationLabel = distanceLabel === "mi" ? "ft" : "m";
+  const distance = `${formatNumber(route.distance, 1)}${distanceLabel}`;
+  const climb = `+${formatNumber(route.climb, 0)}${elevationLabel}`;
+
+  return [
+    `${theme.accent(route.name)}   ${theme.muted("Distance:")} ${theme.accent(distance)}   ${theme.muted("Climb:")} ${theme.accent(climb)}`,
+    `${theme.muted("Ride time:")} ${theme.accent(formatDuration(route.durationMinutes))}   ${theme.muted("Finish:")} ${theme.accent(formatDisplayTime(route.arrival))}`,
+    renderRouteSegmentsTable({ segments: route.segments, units, theme }),
+    renderRouteHighlights({ highlights: route.highlights, theme }),
+  ].join("\n");
+};
+
+export const renderRoutePlan = ({
+  plan,
+  recommendation,
+  theme,
+  emojiEnabled = true,
+  quiet = false,
+}) => {
+  const wearIcon = emojiEnabled ? theme.good("✓") : theme.good("*");
+  const bringIcon = theme.muted("-");
+  const bikeIcon = emojiEnabled ? "🚴" : "Bike";
+
+  if (quiet) {
+    return [
+      renderList(recommendation.essentials, wearIcon, theme, "standard kit"),
+      renderList(recommendation.extras, bringIcon, theme, "no extras"),
+    ].join("\n");
+  }
+
+  const timestamp = formatDisplayTime(plan.departure);
+  const route = `${plan.start} → ${plan.end}`;
+  const headerText = `${bikeIcon} Route plan — ${timestamp}, ${route}`;
+  const header = `${theme.title(bikeIcon)} ${theme.title("Route plan")} — ${timestamp}, ${route}`;
+  const divider = buildDivider(headerText, theme);
+  const distance = `${formatNumber(plan.distance, 1)}${plan.units.distance ?? "km"}`;
+
+  const sections = [
+    header,
+    divider,
+    ...renderStaleNotice(plan.stale, theme),
+    `${theme.muted("Distance:")} ${theme.accent(distance)}   ${theme.muted("Ride time:")} ${theme.accent(formatDuration(plan.durationMinutes))}   ${theme.muted("Arrive:")} ${theme.accent(formatDisplayTime(plan.arrival))}`,
+    "",
+    theme.section("Along the way"),
+    renderRouteSegmentsTable({ segments: plan.segments, units: plan.units, theme }),
+    renderRouteHighlights({ highlights: plan.highlights, theme }),
+  ];
+
+  if (plan.wind?.legs.length) {
+    sections.push("", theme.section("Wind"), renderWindSection({ wind: plan.wind, units: plan.units, theme }));
+  }
+
+  sections.push(
+    "",
+    theme.section("Wear (worst case)"),
+    renderList(recommendation.essentials, wearIcon, theme, "standard kit"),
+    "",
+    theme.section("Bring"),
+    renderList(recommendation.extras, bringIcon, theme, "no extras"),
+  );
+
+  if (recommendation.alerts.length) {
+    sections.push(
+      "",
+      theme.section("Heads up"),
+      recommendation.alerts.map((alert) => theme.warn(`! ${alert}`)).join("\n")
+    );
+  }
+
+  return sections.join("\n");
+};
+
+
+export const renderRideWindows = ({ windows, location, theme, emojiEnabled = true }) => {
+  const bikeIcon = emojiEnabled ? "🚴" : "Bike";
+  const headerText = `${bikeIcon} Best ride windows — ${location.displayName}`;
+  const header = `${theme.title(bikeIcon)} ${theme.title("Best ride windows")} — ${location.displayName}`;
+  const criteria = [
+    formatDuration(windows.durationMinutes),
+    `next ${windows.days} day${windows.days === 1 ? "" : "s"}`,
+    windows.between,
+    Number.isFinite(windows.maxWind) ? `wind ≤ ${windows.maxWind} ${windows.units.windSpeed}` : null,
+    windows.daylightOnly ? "daylight only" : null,
+  ].filter(Boolean);
+
+  const sections = [
+    header,
+    buildDivider(headerText, theme),
+    ...renderStaleNotice(windows.stale, theme),
+    theme.muted(criteria.join(" · ")),
+    "",
+  ];
+
+  if (!windows.windows.length) {
+    sections.push(theme.warn("No windows match. Try widening --between, --max-wind, or --days."));
+    return sections.join("\n");
+  }
+
+  windows.windows.forEach((window, index) => {
+    if (index > 0) {
+      sections.push("");
+    }
+    const when = `${formatDisplayDay(window.start)} ${formatDisplayTime(window.start)} – ${formatDisplayTime(window.end)}`;
+    sections.push(`${theme.section(`${window.rank}. ${when}`)}   ${formatScore(window.score, theme, "score ")}`);
+    sections.push(renderList(window.reasons, theme.muted("-"), theme));
+  });
+
+  return sections.join("\n");
 };
 
+const formatRating = (rating, score, theme) => {
+  const text = `${rating} ${formatNumber(score, 0)}`;
+  if (rating === "great" || rating === "good") {
+    return theme.good(text);
+  }
+  if (rating === "fair") {
+    return theme.accent(text);
+  }
+  return theme.warn(text);
+};
+
+const renderForecastTable = ({ forecast, units, theme }) => {
+  const table = new Table({
+    head: [
+      theme.dim("Day"),
+      theme.dim("Conditions"),
+      theme.dim(`Hi/Lo ${units.temperature}`),
+      theme.dim(`Wind/Gust ${units.windSpeed}`),
+      theme.dim("Rain"),
+      theme.dim("Best"),
+      theme.dim("Rating"),
+      theme.dim("Kit"),
+      theme.dim("Roads"),
+    ],
+    colWidths: [13, 14, 10, 11, 14, 7, 10, 24, 8],
+    wordWrap: true,
+    style: { head: [], border: [] },
+  });
+
+  forecast.forEach((day) => {
+    const digits = units.precipitation === "in" ? 2 : 1;
+    const rainText = `${formatNumber(day.precipitation, digits)}${units.precipitation} · ${formatNumber(day.precipitationHours, 0)}h`;
+    const windValue = `${formatNumber(day.windSpeedMax, 0)}/${formatNumber(day.windGustsMax, 0)}`;
+
+    table.push([
+      formatDisplayDay(day.date),
+      day.summary,
+      `${formatNumber(day.temperatureMax, 0)}/${formatNumber(day.temperatureMin, 0)}`,
+      Number(day.windSpeedMax) >= 15 ? theme.warn(windValue) : windValue,
+      Number(day.precipitationHours) >= 3 ? theme.warn(rainText) : rainText,
+      formatHour(day.bestHour),
+      formatRating(day.rating, day.score, theme),
+      day.wear.length ? day.wear.join(", ") : theme.muted("standard kit"),
+      formatRoadStatus(day.roadStatus, theme),
+    ]);
+  });
+
+  return table.toString();
+};
+
+export const renderForecast = ({ forecast, location, theme, emojiEnabled = true, quiet = false }) => {
+  if (quiet) {
+    return forecast.forecast
+      .map((day) => `${formatDisplayDay(day.date)}  ${formatHour(day.bestHour)}  ${day.rating} ${day.score}`)
+      .join("\n");
+  }
+
+  const bikeIcon = emojiEnabled ? "🚴" : "Bike";
+  const title = `${forecast.days}-day outlook`;
+  const headerText = `${bikeIcon} ${title} — ${location.displayName}`;
+  const header = `${theme.title(bikeIcon)} ${theme.title(title)} — ${location.displayName}`;
+  const sections = [
+    header,
+    buildDivider(headerText, theme),
+    ...renderStaleNotice(forecast.stale, theme),
+    `${theme.muted("Profile:")} ${theme.accent(forecast.profile)}   ${theme.muted("Kit is for the best hour of each day")}`,
+    "",
+  ];
+
+  if (!forecast.forecast.length) {
+    sections.push(theme.warn("No forecast days available."));
+    return sections.join("\n");
+  }
+
+  sections.push(renderForecastTable({ forecast: forecast.forecast, units: forecast.units, theme }));
+
+  const alerts = forecast.forecast.filter((day) => day.alerts.length);
+  if (alerts.length) {
+    sections.push(
+      "",
+      theme.section("Heads up"),
+      alerts
+        .map((day) => theme.warn(`! ${formatDisplayDay(day.date)}: ${day.alerts.join(", ")}`))
+        .join("\n")
+    );
+  }
+
+  return sections.join("\n");
+};
+
+export const renderComparison = ({ comparison, theme, emojiEnabled = true, quiet = false }) => {
+  const best = comparison.locations.find((entry) => entry.best);
+
+  if (quiet) {
+    return `${best.location} (score ${best.score})`;
+  }
+
+  const { units } = comparison;
+  const bikeIcon = emojiEnabled ? "🚴" : "Bike";
+  const when =
+    comparison.time === "now" ? "now" : `${formatDisplayDay(best.time)} ${formatDisplayTime(best.time)}`;
+  const headerText = `${bikeIcon} Compare — ${when}`;
+  const header = `${theme.title(bikeIcon)} ${theme.title("Compare")} — ${when}`;
+
+  const table = new Table({
+    head: [
+      theme.dim("Location"),
+      theme.dim(`Temp ${units.temperature}`),
+      theme.dim(`Feels ${units.temperature}`),
+      theme.dim(`Wind ${units.windSpeed}`),
+      theme.dim("Precip"),
+      theme.dim("Sky"),
+      theme.dim("Roads"),
+      theme.dim("Confidence"),
+      theme.dim("Score"),
+    ],
+    colWidths: [24, 9, 10, 11, 16, 16, 8, 12, 8],
+    wordWrap: true,
+    style: { head: [], border: [] },
+  });
+
+  comparison.locations.forEach((entry) => {
+    const precipAmount = formatNumber(entry.precipitation, units.precipitation === "in" ? 2 : 1);
+    const precipText = `${formatNumber(entry.precipProbability, 0)}% · ${precipAmount}${units.precipitation}`;
+    const windValue = `${formatNumber(entry.windSpeed, 0)} ${entry.windDirection}`.trim();
+
+    table.push([
+      entry.best ? theme.good(`★ ${entry.location}`) : entry.location,
+      formatTemperature(entry.temperature, units.temperature, theme),
+      formatTemperature(entry.feelsLike, units.temperature, theme),
+      Number(entry.windSpeed) >= 15 ? theme.warn(windValue) : windValue,
+      Number(entry.precipProbability) >= 40 ? theme.warn(precipText) : precipText,
+      entry.summary,
+      formatRoadStatus(entry.roadStatus, theme),
+      formatConfidence(entry.confidence, theme),
+      entry.best ? theme.good(String(entry.score)) : String(entry.score),
+    ]);
+  });
+
+  return [
+    header,
+    buildDivider(headerText, theme),
+    ...renderStaleNotice(comparison.stale, theme),
+    "",
+    table.toString(),
+    "",
+    `${theme.muted("Best bet:")} ${theme.good(best.location)} ${theme.muted(`(score ${best.score})`)}`,
+  ].join("\n");
+};
+
+const describeCommuteLeg = (leg, units, theme) => {
+  const feels = formatTemperature(leg.feelsLike, units.temperature, theme);
+  const wind = `${formatNumber(leg.windSpeed, 0)} ${units.windSpeed}`;
+  const rain = `${formatNumber(leg.precipProbability, 0)}% rain`;
+  return `feels ${feels}, ${wind}, ${leg.precipProbability >= 40 ? theme.warn(rain) : rain}, ${leg.summary}`;
+};
+
+const renderCommuteWeek = ({ commute, theme }) => {
+  const table = new Table({
+    head: [
+      theme.dim("Day"),
+      theme.dim(`Morning ${commute.depart}`),
+      theme.dim(`Evening ${commute.return}`),
+      theme.dim("Wear"),
+      theme.dim("Flags"),
+    ],
+    colWidths: [13, 22, 22, 28, 28],
+    wordWrap: true,
+    style: { head: [], border: [] },
+  });
+
+  commute.days.forEach((day) => {
+    const [morning, evening] = day.legs;
+    const leg = (entry) =>
+      `${formatNumber(entry.feelsLike, 0)}${commute.units.temperature} · ${formatNumber(entry.precipProbability, 0)}% · ${entry.summary}`;
+    table.push([
+      formatDisplayDay(`${day.date}T12:00`),
+      leg(morning),
+      leg(evening),
+      day.wear.length ? day.wear.join(", ") : theme.muted("standard kit"),
+      day.flags.length ? theme.warn(day.flags.join("; ")) : theme.muted("none"),
+    ]);
+  });
+
+  return table.toString();
+};
+
+export const renderCommute = ({ commute, theme, emojiEnabled = true, quiet = false }) => {
+  const wearIcon = emojiEnabled ? theme.good("✓") : theme.good("*");
+  const bringIcon = theme.muted("-");
+  const bikeIcon = emojiEnabled ? "🚴" : "Bike";
+  const isWeek = commute.mode === "commute-week";
+
+  if (quiet && !isWeek) {
+    return [
+      renderList(commute.wear, wearIcon, theme, "standard kit"),
+      renderList(commute.bring, bringIcon, theme, "no extras"),
+    ].join("\n");
+  }
+
+  const route = `${commute.home} → ${commute.work}`;
+  const title = isWeek ? "Commute week" : `Commute — ${formatDisplayDay(`${commute.date}T12:00`)}`;
+  const headerText = `${bikeIcon} ${title}, ${route}`;
+  const header = `${theme.title(bikeIcon)} ${theme.title(title)}, ${route}`;
+  const sections = [header, buildDivider(headerText, theme), ...renderStaleNotice(commute.stale, theme)];
+
+  if (isWeek) {
+    if (!commute.days.length) {
+      sections.push("", theme.warn("No commute days left in the forecast."));
+      return sections.join("\n");
+    }
+    sections.push("", renderCommuteWeek({ commute, theme }));
+    return sections.join("\n");
+  }
+
+  sections.push(
+    "",
+    ...commute.legs.map(
+      (leg) =>
+        `${theme.section(leg.label.padEnd(8))} ${theme.accent(formatHour(leg.depart))}  ${describeCommuteLeg(leg, commute.units, theme)}`
+    ),
+    "",
+    theme.section("Wear (covers both legs)"),
+    renderList(commute.wear, wearIcon, theme, "standard kit"),
+    "",
+    theme.section("Bring"),
+    renderList(commute.bring, bringIcon, theme, "no extras"),
+  );
+
+  const headsUp = [...commute.flags, ...commute.alerts];
+  if (headsUp.length) {
+    sections.push("", theme.section("Heads up"), headsUp.map((item) => theme.warn(`! ${item}`)).join("\n"));
+  }
+
+  return sections.join("\n");
+};
+
+// Markdown and HTML briefings for pasting into group chats and wikis. Both render the same
+// document: a title, a meta line, an optional verdict banner, and sections of fields, lists,
+// or tables. The HTML page carries its own styles, so it has no external assets.
+export const DOCUMENT_FORMATS = ["markdown", "html"];
+
+export const isDocumentFormat = (format) => DOCUMENT_FORMATS.includes(format);
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+const HTML_STYLE = [
+  "body{margin:0;background:#f6f7f9;color:#1d2330;font:15px/1.5 system-ui,-apple-system,'Segoe UI',Roboto,sans-serif}",
+  "main{max-width:760px;margin:0 auto;padding:24px}",
+  "h1{font-size:1.5rem;margin:0 0 4px}",
+  "h2{font-size:1.1rem;margin:24px 0 8px;padding-bottom:4px;border-bottom:1px solid #dde1e7}",
+  ".meta{margin:0;color:#5b6475}",
+  ".banner{margin:16px 0;padding:12px 16px;border-radius:6px}",
+  ".banner ul{margin:4px 0 0}",
+  ".go{background:#e3f5e8}.caution{background:#fff4d6}.no-go{background:#fde2e2}",
+  ".note{margin:6px 0;color:#8a5a00}.empty{color:#5b6475}",
+  "ul{padding-left:20px}",
+  "table{width:100%;border-collapse:collapse;font-size:.9rem}",
+  "th,td{padding:4px 8px;border:1px solid #dde1e7;text-align:left}",
+  "th{background:#eef1f5}",
+].join("\n");
+
+const escapeMarkdown = (value) => String(value ?? "").replace(/([\\`*_[\]<|])/g, "\\$1");
+
+const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+const renderMarkdownSection = ({ heading, fields, items, empty, table, notes }) => {
+  const blocks = [`## ${escapeMarkdown(heading)}`];
+  if (fields) {
+    blocks.push(fields.map(([label, value]) => `- **${escapeMarkdown(label)}:** ${escapeMarkdown(value)}`).join("\n"));
+  }
+  if (items) {
+    blocks.push(items.length ? items.map((item) => `- ${escapeMarkdown(item)}`).join("\n") : `_${escapeMarkdown(empty)}_`);
+  }
+  if (table) {
+    const row = (cells) => `| ${cells.map(escapeMarkdown).join(" | ")} |`;
+    blocks.push([row(table.headers), `|${table.headers.map(() => " --- |").join("")}`, ...table.rows.map(row)].join("\n"));
+  }
+  if (notes?.length) {
+    blocks.push(notes.map((note) => `> ${escapeMarkdown(note)}`).join("\n>\n"));
+  }
+  return blocks.join("\n\n");
+};
+
+const renderMarkdownDocument = ({ title, meta, banner, sections }) =>
+  [
+    `# ${escapeMarkdown(title)}`,
+    ...(meta.length ? ["", meta.map(escapeMarkdown).join(" · ")] : []),
+    ...(banner
+      ? [
+          "",
+          [
+            `> **${escapeMarkdown(banner.label)}** — ${escapeMarkdown(banner.text)}`,
+            ...banner.details.map((detail) => `> - ${escapeMarkdown(detail)}`),
+          ].join("\n"),
+        ]
+      : []),
+    ...sections.flatMap((section) => ["", renderMarkdownSection(section)]),
+  ].join("\n");
+
+const renderHtmlList = (items) => `<ul>${items.map((item) => `<li>${item}</li>`).join("")}</ul>`;
+
+const renderHtmlSection = ({ heading, fields, items, empty, table, notes }) => {
+  const parts = [`<h2>${escapeHtml(heading)}</h2>`];
+  if (fields) {
+    parts.push(
+      renderHtmlList(fields.map(([label, value]) => `<strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}`))
+    );
+  }
+  if (items) {
+    parts.push(
+      items.length ? renderHtmlList(items.map(escapeHtml)) : `<p class="empty">${escapeHtml(empty)}</p>`
+    );
+  }
+  if (table) {
+    const cells = (tag, values) => values.map((value) => `<${tag}>${escapeHtml(value)}</${tag}>`).join("");
+    parts.push(
+      [
+        "<table>",
+        `<thead><tr>${cells("th", table.headers)}</tr></thead>`,
+        `<tbody>${table.rows.map((row) => `<tr>${cells("td", row)}</tr>`).join("")}</tbody>`,
+        "</table>",
+      ].join("")
+    );
+  }
+  (notes ?? []).forEach((note) => parts.push(`<p class="note">${escapeHtml(note)}</p>`));
+  return `<section>\n${parts.join("\n")}\n</section>`;
+};
+
+const renderHtmlDocument = ({ title, meta, banner, sections }) =>
+  [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    "</head>",
+    "<body>",
+    "<main>",
+    `<h1>${escapeHtml(title)}</h1>`,
+    ...(meta.length ? [`<p class="meta">${meta.map(escapeHtml).join(" · ")}</p>`] : []),
+    ...(banner
+      ? [
+          `<div class="banner ${banner.level}"><strong>${escapeHtml(banner.label)}</strong> — ${escapeHtml(
+            banner.text
+          )}${banner.details.length ? renderHtmlList(banner.details.map(escapeHtml)) : ""}</div>`,
+        ]
+      : []),
+    ...sections.map(renderHtmlSection),
+    "</main>",
+    "</body>",
+    "</html>",
+  ].join("\n");
+
+const renderDocument = (document, format) =>
+  format === "html" ? renderHtmlDocument(document) : renderMarkdownDocument(document);
+
+const buildConditionFields = (payload) => {
+  const { units } = payload;
+  const temperature = (value) => formatTemperature(value, units.temperature, fallbackTheme);
+  const fields = [
+    ["Sky", payload.summary],
+    ["Temp", `${temperature(payload.temperature)} (feels ${temperature(payload.feelsLike)})`],
+  ];
+
+  if (payload.rideFeel) {
+    const { feelsLike, speed, sweat, heatStress } = payload.rideFeel;
+    const stress = heatStress && heatStress !== "none" ? `, heat stress ${heatStress}` : "";
+    fields.push([
+      "On the bike",
+      `feels ${temperature(feelsLike)} at ${formatNumber(speed, 0)} ${units.windSpeed}, ${sweat} sweat${stress}`,
+    ]);
+  }
+
+  const gusts = Number.isFinite(payload.windGusts)
+    ? `, gusts ${formatNumber(payload.windGusts, 0)} ${units.windSpeed}`
+    : "";
+  fields.push(["Wind", `${formatNumber(payload.windSpeed, 0)} ${units.windSpeed} ${payload.windDirection ?? ""}`.trim() + gusts]);
+  fields.push([
+    "Precip",
+    `${formatNumber(payload.precipProbability, 0)}% · ${formatNumber(
+      payload.precipitation,
+      units.precipitation === "in" ? 2 : 1
+    )} ${units.precipitation}`,
+  ]);
+  if (Number.isFinite(payload.humidity)) {
+    fields.push(["Humidity", `${formatNumber(payload.humidity, 0)}%`]);
+  }
+  if (Number.isFinite(payload.uvIndex)) {
+    fields.push(["UV", formatNumber(payload.uvIndex, 0)]);
+  }
+  if (Number.isFinite(payload.visibility)) {
+    fields.push(["Visibility", formatVisibility(payload.visibility, units.distance)]);
+  }
+  if (Number.isFinite(payload.aqi)) {
+    const pm25 = Number.isFinite(payload.pm25) ? ` (PM2.5 ${formatNumber(payload.pm25, 0)})` : "";
+    fields.push(["Air quality", `AQI ${formatNumber(payload.aqi, 0)}${pm25}`]);
+  }
+  if (payload.roadStatus) {
+    fields.push(["Roads", `${payload.roadStatus}${payload.roadReason ? ` (${payload.roadReason})` : ""}`]);
+  }
+  if (Number.isFinite(payload.score)) {
+    fields.push(["Score", `${payload.score} (${payload.rating})`]);
+  }
+  if (payload.confidence) {
+    const reasons = payload.confidence === "high" ? [] : payload.confidenceDetail?.reasons ?? [];
+    fields.push(["Confidence", `${payload.confidence}${reasons.length ? ` — ${reasons.join("; ")}` : ""}`]);
+  }
+  return fields;
+};
+
+const buildDaylightSection = ({ daylight, lighting }) => ({
+  heading: "Daylight",
+  fields: [
+    daylight.dawn ? ["First light", formatHour(daylight.dawn)] : null,
+    ["Sunrise", formatHour(daylight.sunrise)],
+    ["Sunset", formatHour(daylight.sunset)],
+    daylight.dusk ? ["Dark", formatHour(daylight.dusk)] : null,
+  ].filter(Boolean),
+  notes: [daylight.warning, lighting?.advice].filter(Boolean),
+});
+
+const buildWindDocumentSection = ({ wind, units }) => ({
+  heading: "Wind",
+  fields: wind.legs.map((leg) => [
+    leg.direction ? `${leg.label} (${leg.direction})` : leg.label,
+    describeWindLeg(leg, units.windSpeed),
+  ]),
+  notes: wind.advice ? [wind.advice] : [],
+});
+
+const buildSegmentsTable = ({ segments, units }) => {
+  const temperature = (value) => formatTemperature(value, units.temperature, fallbackTheme);
+  return {
+    headers: [
+      `Dist ${units.distance ?? "km"}`,
+      "ETA",
+      `Temp ${units.temperature}`,
+      `Feels ${units.temperature}`,
+      `Wind ${units.windSpeed}`,
+      "Head/Tail",
+      "Precip",
+      "Sky",
+    ],
+    rows: segments.map((segment) => [
+      formatNumber(segment.distance, 1),
+      formatHour(segment.eta),
+      temperature(segment.temperature),
+      temperature(segment.feelsLike),
+      `${formatNumber(segment.windSpeed, 0)} ${segment.windDirection ?? ""}`.trim(),
+      formatHeadwind(segment.headwind, fallbackTheme),
+      `${formatNumber(segment.precipProbability, 0)}% · ${formatNumber(
+        segment.precipitation,
+        units.precipitation === "in" ? 2 : 1
+      )}${units.precipitation}`,
+      segment.summary,
+    ]),
+  };
+};
+
+const describeHighlights = (highlights) =>
+  highlights?.length ? highlights : ["No rain or cold expected along the route"];
+
+const buildRouteDocumentSection = ({ route, units }) => {
+  const distanceLabel = units.distance ?? "km";
+  return {
+    heading: `Route: ${route.name}`,
+    fields: [
+      ["Distance", `${formatNumber(route.distance, 1)}${distanceLabel}`],
+      ["Climb", `+${formatNumber(route.climb, 0)}${distanceLabel === "mi" ? "ft" : "m"}`],
+      ["Ride time", formatDuration(route.durationMinutes)],
+      ["Finish", formatDisplayTime(route.arrival)],
+    ],
+    table: buildSegmentsTable({ segments: route.segments, units }),
+    notes: describeHighlights(route.highlights),
+  };
+};
+
+const buildHourlyDocumentSection = ({ hourly, units }) => ({
+  heading: "Hourly",
+  table: {
+    headers: ["Time", `Temp ${units.temperature}`, `Feels ${units.temperature}`, `Wind ${units.windSpeed}`, "Precip", "Score"],
+    rows: hourly.map((entry) => [
+      formatHour(entry.time),
+      formatTemperature(entry.temperature, units.temperature, fallbackTheme),
+      formatTemperature(entry.feelsLike, units.temperature, fallbackTheme),
+      formatNumber(entry.windSpeed, 0),
+      `${formatNumber(entry.precipProbability, 0)}% · ${formatNumber(
+        entry.precipitation,
+        units.precipitation === "in" ? 2 : 1
+      )}${units.precipitation}`,
+      Number.isFinite(entry.score) ? formatNumber(entry.score, 0) : "–",
+    ]),
+  },
+});
+
+const buildKitSections = (payload) => [
+  { heading: payload.route || payload.mode === "route-plan" ? "Wear (worst case)" : "Wear", items: payload.wear, empty: "Standard kit" },
+  { heading: "Bring", items: payload.bring, empty: "No extras" },
+  ...(payload.alerts.length ? [{ heading: "Heads up", items: payload.alerts }] : []),
+];
+
+const describeStale = (stale) => (stale ? `Offline — forecast from ${formatForecastAge(stale.ageMinutes)}` : null);
+
+const buildRoutePlanDocument = (payload) => ({
+  title: `Route plan — ${payload.start} → ${payload.end}`,
+  meta: [
+    `${formatDisplayDay(payload.departure)}, ${formatDisplayTime(payload.departure)}`,
+    payload.profile ? `Profile: ${payload.profile}` : null,
+    describeStale(payload.stale),
+  ].filter(Boolean),
+  sections: [
+    {
+      heading: "Along the way",
+      fields: [
+        ["Distance", `${formatNumber(payload.distance, 1)}${payload.units.distance ?? "km"}`],
+        ["Ride time", formatDuration(payload.durationMinutes)],
+        ["Arrive", formatDisplayTime(payload.arrival)],
+      ],
+      table: buildSegmentsTable({ segments: payload.segments, units: payload.units }),
+      notes: describeHighlights(payload.highlights),
+    },
+    ...(payload.wind?.legs.length ? [buildWindDocumentSection({ wind: payload.wind, units: payload.units })] : []),
+    ...buildKitSections(payload),
+  ],
+});
+
+const buildListsDocument = (payload, title) => {
+  if (payload.mode === "explain") {
+    return {
+      title,
+      meta: [],
+      sections: [
+        {
+          heading: "Why each item",
+          table: {
+            headers: ["List", "Item", "Rule", "Because"],
+            rows: payload.sources.map((source) => [source.list, source.item, source.rule, source.reason]),
+          },
+          notes: payload.unmatched.length ? [`Not triggered: ${payload.unmatched.join(", ")}`] : [],
+        },
+      ],
+    };
+  }
+  return {
+    title,
+    meta: [],
+    sections: [
+      payload.mode === "wear"
+        ? { heading: "Wear", items: payload.wear, empty: "Standard kit" }
+        : { heading: "Bring", items: payload.bring, empty: "No extras" },
+    ],
+  };
+};
+
+const buildReportDocument = (payload, title) => {
+  const { units } = payload;
+  const requested = payload.requestedTime;
+  const meta = [
+    `${formatDisplayDay(payload.time)}, ${formatDisplayTime(payload.time)}`,
+    requested ? `for "${requested.input}"${requested.timezone ? ` (${requested.timezone})` : ""}` : null,
+    payload.profile ? `Profile: ${payload.profile}` : null,
+    describeStale(payload.stale),
+  ].filter(Boolean);
+
+  const sections = [
+    { heading: "Conditions", fields: buildConditionFields(payload) },
+    ...(payload.route ? [buildRouteDocumentSection({ route: payload.route, units })] : []),
+    ...(payload.wind ? [buildWindDocumentSection({ wind: payload.wind, units })] : []),
+    ...buildKitSections(payload),
+    ...(payload.daylight ? [buildDaylightSection(payload)] : []),
+    ...(payload.hourly?.length ? [buildHourlyDocumentSection({ hourly: payload.hourly, units })] : []),
+    ...(payload.tips.length ? [{ heading: "Tips", items: payload.tips }] : []),
+  ];
+
+  return {
+    title: `${title} — ${payload.location}`,
+    meta,
+    banner: payload.safety
+      ? {
+          level: payload.safety.verdict.toLowerCase(),
+          label: payload.safety.verdict,
+          text: payload.safety.reasons[0] ?? "No severe weather during the ride",
+          details: payload.safety.reasons.slice(1),
+        }
+      : null,
+    sections,
+  };
+};
+
+const buildPayloadDocument = (payload, title) => {
+  if (payload.mode === "route-plan") {
+    return buildRoutePlanDocument(payload);
+  }
+  if (["wear", "gear", "explain"].includes(payload.mode)) {
+    return buildListsDocument(payload, title);
+  }
+  return buildReportDocument(payload, title);
+};
+
+// payload is the JSON payload of now, plan, plan route, route, wear, gear, or rules explain.
+export const renderReportDocument = ({ payload, title, format }) =>
+  renderDocument(buildPayloadDocument(payload, title), format);
+
+// Rows for the weather part of `bike stats`; empty until some ride in the period is annotated.
+const buildWeatherStatsFields = (weather) => {
+  if (!weather?.annotatedRides) {
+    return [];
+  }
+  const { units } = weather;
+  const describe = (ride, value) => `${value} (${ride.name ?? "Ride"}, ${ride.start.slice(0, 10)})`;
+  const fields = [
+    ["Wet rides", `${weather.wetRides} of ${weather.annotatedRides} (${(weather.wetDistanceM / 1000).toFixed(1)}km)`],
+  ];
+  if (weather.coldest) {
+    fields.push(["Coldest", describe(weather.coldest, `${weather.coldest.temperature}${units.temperature}`)]);
+  }
+  if (weather.hottest) {
+    fields.push(["Hottest", describe(weather.hottest, `${weather.hottest.temperature}${units.temperature}`)]);
+  }
+  if (weather.windiest) {
+    fields.push(["Windiest", describe(weather.windiest, `${weather.windiest.windSpeed} ${units.windSpeed}`)]);
+  }
+  return fields;
+};
+
+export const renderStatsDocument = ({ periodLabel, since, stats, units = {}, weather = null, format }) =>
+  renderDocument(
+    {
+      title: `${periodLabel} Stats`,
+      meta: since ? [`Since ${since}`] : [],
+      sections: [
+        {
+          heading: "Totals",
+          fields: [
+            ["Rides", String(stats.count)],
+            ["Distance", `${stats.distance}${units.distance ?? ""}`.trim()],
+            ["Time", `${stats.time} ${units.time ?? ""}`.trim()],
+            ["Elevation", `${stats.elevation}${units.elevation ?? ""}`.trim()],
+          ],
+        },
+        ...(weather?.annotatedRides ? [{ heading: "Weather", fields: buildWeatherStatsFields(weather) }] : []),
+      ],
+    },
+    format
+  );
+
 export const renderJson = (payload) => JSON.stringify(payload, null, 2);
 
 const escapeCsv = (value) => {
@@ -338,6 +1424,32 @@ const escapeCsv = (value) => {
   return text;
 };
 
+const ROUTE_SEGMENT_CSV_HEADERS = [
+  "index",
+  "latitude",
+  "longitude",
+  "distance",
+  "elevation",
+  "eta",
+  "temperature",
+  "feelsLike",
+  "windSpeed",
+  "windDirection",
+  "heading",
+  "headwind",
+  "crosswind",
+  "precipProbability",
+  "precipitation",
+  "summary",
+];
+
+const renderRouteSegmentsCsv = (segments) => {
+  const rows = segments.map((segment) =>
+    ROUTE_SEGMENT_CSV_HEADERS.map((header) => escapeCsv(segment[header])).join(",")
+  );
+  return [ROUTE_SEGMENT_CSV_HEADERS.join(","), ...rows].join("\n");
+};
+
 export const renderCsv = (payload) => {
   if (payload.mode === "wear") {
     return payload.wear?.map(escapeCsv).join(",") ?? "";
@@ -345,6 +1457,118 @@ export const renderCsv = (payload) => {
   if (payload.mode === "gear") {
     return payload.bring?.map(escapeCsv).join(",") ?? "";
   }
+  if (payload.mode === "explain") {
+    const rows = payload.sources.map((source) =>
+      [source.list, source.item, source.rule, source.reason].map(escapeCsv).join(",")
+    );
+    return ["list,item,rule,reason", ...rows].join("\n");
+  }
+  if (payload.mode === "route-plan") {
+    return renderRouteSegmentsCsv(payload.segments);
+  }
+  if (payload.route) {
+    return renderRouteSegmentsCsv(payload.route.segments);
+  }
+  if (payload.mode === "compare") {
+    const compareHeaders = [
+      "location",
+      "time",
+      "summary",
+      "temperature",
+      "feelsLike",
+      "windSpeed",
+      "windDirection",
+      "precipProbability",
+      "precipitation",
+      "roadStatus",
+      "roadReason",
+      "confidence",
+      "score",
+      "best",
+    ];
+    const rows = payload.locations.map((entry) =>
+      compareHeaders.map((header) => escapeCsv(entry[header])).join(",")
+    );
+    return [compareHeaders.join(","), ...rows].join("\n");
+  }
+  if (payload.mode === "commute" || payload.mode === "commute-week") {
+    const commuteHeaders = [
+      "date",
+      "label",
+      "from",
+      "to",
+      "depart",
+      "arrive",
+      "summary",
+      "temperature",
+      "feelsLike",
+      "windSpeed",
+      "precipProbability",
+      "precipitation",
+      "wear",
+      "bring",
+    ];
+    const days = payload.mode === "commute-week" ? payload.days : [payload];
+    const rows = days.flatMap((day) =>
+      day.legs.map((leg) =>
+        commuteHeaders
+          .map((header) => {
+            if (header === "date") {
+              return escapeCsv(day.date);
+            }
+            return escapeCsv(Array.isArray(leg[header]) ? leg[header].join("; ") : leg[header]);
+          })
+          .join(",")
+      )
+    );
+    return [commuteHeaders.join(","), ...rows].join("\n");
+  }
+  if (payload.mode === "forecast") {
+    const forecastHeaders = [
+      "date",
+      "summary",
+      "temperatureMax",
+      "temperatureMin",
+      "windSpeedMax",
+      "windGustsMax",
+      "precipitation",
+      "precipitationHours",
+      "bestHour",
+      "score",
+      "rating",
+      "wear",
+      "bring",
+      "alerts",
+      "roadStatus",
+      "roadReason",
+    ];
+    const listHeaders = ["wear", "bring", "alerts"];
+    const rows = payload.forecast.map((day) =>
+      forecastHeaders
+        .map((header) => escapeCsv(listHeaders.includes(header) ? day[header].join("; ") : day[header]))
+        .join(",")
+    );
+    return [forecastHeaders.join(","), ...rows].join("\n");
+  }
+  if (payload.mode === "window") {
+    const windowHeaders = [
+      "rank",
+      "start",
+      "end",
+      "score",
+      "feelsLikeMin",
+      "feelsLikeMax",
+      "maxWind",
+      "maxPrecipProbability",
+      "reasons",
+    ];
+    const rows = payload.windows.map((window) =>
+      windowHeaders
+        .map((header) => escapeCsv(header === "reasons" ? window.reasons.join("; ") : window[header]))
+        .join(",")
+    );
+    return [windowHeaders.join(","), ...rows].join("\n");
+  }
 
   const headers = [
     "location",
@@ -353,9 +1577,17 @@ export const renderCsv = (payload) => {
     "temperature",
     "feelsLike",
     "windSpeed",
+    "windGusts",
     "windDirection",
     "precipProbability",
     "precipitation",
+    "uvIndex",
+    "visibility",
+    "aqi",
+    "pm25",
+    "verdict",
+    "score",
+    "rideFeelsLike",
   ];
   const row = [
     payload.location,
@@ -364,9 +1596,17 @@ export const renderCsv = (payload) => {
     payload.temperature,
     payload.feelsLike,
     payload.windSpeed,
+    payload.windGusts,
     payload.windDirection,
     payload.precipProbability,
     payload.precipitation,
+    payload.uvIndex,
+    payload.visibility,
+    payload.aqi,
+    payload.pm25,
+    payload.safety?.verdict,
+    payload.score,
+    payload.rideFeel?.feelsLike,
   ];
 
   return `${headers.join(",")}\n${row.map(escapeCsv).join(",")}`;
@@ -396,6 +1636,60 @@ export const renderSyncResult = (result, options = {}, theme = fallbackTheme) =>
   return lines.join("\n");
 };
 
+export const renderAnnotateResult = ({ result, theme = fallbackTheme }) => {
+  const { annotated, pending, failed, skipped, units } = result;
+  const lines = [theme.section("Ride Weather"), buildDivider("Ride Weather", theme)];
+
+  if (annotated.length) {
+    const table = new Table({
+      head: [
+        theme.dim("Start"),
+        theme.dim("Ride"),
+        theme.dim("Sky"),
+        theme.dim(`Temp ${units.temperature}`),
+        theme.dim(`Wind ${units.windSpeed}`),
+        theme.dim(`Rain ${units.precipitation}`),
+      ],
+      colWidths: [18, 24, 18, 12, 10, 10],
+      wordWrap: true,
+      style: { head: [], border: [] },
+    });
+    annotated.forEach((ride) => {
+      const digits = units.precipitation === "in" ? 2 : 1;
+      table.push([
+        ride.start.replace("T", " "),
+        ride.name ?? "Ride",
+        ride.summary,
+        `${formatNumber(ride.minTemperature, 0)}–${formatNumber(ride.maxTemperature, 0)}`,
+        formatNumber(ride.maxWindSpeed, 0),
+        ride.wet ? theme.warn(formatNumber(ride.precipitation, digits)) : formatNumber(ride.precipitation, digits),
+      ]);
+    });
+    lines.push(table.toString());
+  }
+
+  const wet = annotated.filter((ride) => ride.wet).length;
+  lines.push(
+    annotated.length
+      ? theme.good(`Annotated ${annotated.length} ride${annotated.length === 1 ? "" : "s"} (${wet} wet)`)
+      : theme.muted("No rides to annotate.")
+  );
+  if (pending.length) {
+    lines.push(theme.muted(`${pending.length} recent ride${pending.length === 1 ? " is" : "s are"} not in the weather archive yet; run again in a few days.`));
+  }
+  if (skipped.alreadyAnnotated) {
+    lines.push(theme.dim(`Skipped ${skipped.alreadyAnnotated} already annotated (use --force to redo).`));
+  }
+  if (skipped.noLocation) {
+    lines.push(theme.dim(`Skipped ${skipped.noLocation} without a start location (indoor or private).`));
+  }
+  failed.forEach((ride) => {
+    lines.push(theme.bad(`! ${ride.name ?? ride.id} (${ride.startDate.slice(0, 10)}): ${ride.error}`));
+  });
+
+  return lines.join("\n");
+};
+
 export const renderAuthStatus = (token, theme = fallbackTheme) => {
   if (!token) {
     return "Not authenticated with Strava.\nRun 'bike auth login' to connect.";
@@ -439,7 +1733,7 @@ export const renderBikesList = (bikes, defaultBikeId, theme = fallbackTheme) =>
     .join("\n");
 };
 
-export const renderStats = ({ periodLabel, since, stats, units = {}, theme = fallbackTheme }) => {
+export const renderStats = ({ periodLabel, since, stats, units = {}, weather = null, theme = fallbackTheme }) => {
   const title = `${periodLabel} Stats`;
   const headerText = since ? `${title} (${since})` : title;
   const divider = buildDivider(headerText, theme);
@@ -453,6 +1747,12 @@ export const renderStats = ({ periodLabel, since, stats, units = {}, theme = fal
     `${theme.muted("Elevation:")} ${theme.accent(`${stats.elevation}${units.elevation ?? ""}`.trim())}`,
   ];
 
+  const weatherFields = buildWeatherStatsFields(weather);
+  if (weatherFields.length) {
+    lines.push("", theme.section("Weather"));
+    weatherFields.forEach(([label, value]) => lines.push(`${theme.muted(`${label}:`)} ${theme.accent(value)}`));
+  }
+
   return lines.join("\n");
 };
 
@@ -522,6 +1822,17 @@ export const renderMaintenanceStatus = ({ status, theme = fallbackTheme }) => {
     );
   });
 
+  if (status.wetRides?.count > 0) {
+    const since = status.wetRides.since ? "since the last chain service" : "so far";
+    const distance = (status.wetRides.distanceM / 1000).toFixed(1);
+    lines.push(
+      "",
+      theme.warn(
+        `! ${status.wetRides.count} wet ride${status.wetRides.count === 1 ? "" : "s"} (${distance}km) ${since} - clean and re-lube the chain`
+      )
+    );
+  }
+
   if (status.recentEvents.length > 0) {
     lines.push("", theme.section("Recent Maintenance"));
     status.recentEvents.forEach((event) => {
@@ -533,6 +1844,221 @@ export const renderMaintenanceStatus = ({ status, theme = fallbackTheme }) => {
   return lines.join("\n");
 };
 
+export const renderPlacesList = ({ places, theme = fallbackTheme }) => {
+  const lines = [theme.section("Places"), buildDivider("Places", theme)];
+  const entries = Object.entries(places);
+
+  if (!entries.length) {
+    lines.push(theme.muted("No saved places. Add one with 'bike places add <name> <location>'."));
+    return lines.join("\n");
+  }
+
+  entries.forEach(([alias, place]) => {
+    const coordinates = `${formatNumber(place.latitude, 4)}, ${formatNumber(place.longitude, 4)}`;
+    lines.push(`  ${theme.accent(alias)} ${theme.muted("-")} ${place.displayName} ${theme.dim(`(${coordinates})`)}`);
+  });
+
+  return lines.join("\n");
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${formatNumber(bytes / 1024, 1)} KB`;
+  }
+  return `${formatNumber(bytes / (1024 * 1024), 1)} MB`;
+};
+
+const formatAge = (ageMs) => {
+  if (!Number.isFinite(ageMs)) {
+    return "–";
+  }
+  const minutes = Math.max(0, Math.round(ageMs / 60000));
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  if (minutes < 48 * 60) {
+    return `${Math.round(minutes / 60)}h`;
+  }
+  return `${Math.round(minutes / (24 * 60))}d`;
+};
+
+export const renderCacheList = ({ entries, theme = fallbackTheme }) => {
+  const lines = [theme.section("Cache"), buildDivider("Cache", theme)];
+
+  if (!entries.length) {
+    lines.push(theme.muted("Cache is empty."));
+    return lines.join("\n");
+  }
+
+  const now = Date.now();
+  const table = new Table({
+    head: [theme.dim("Kind"), theme.dim("Entry"), theme.dim("Size"), theme.dim("Age"), theme.dim("Last used")],
+    colWidths: [10, 40, 10, 7, 11],
+    wordWrap: true,
+    style: { head: [], border: [] },
+  });
+
+  entries.forEach((entry) => {
+    table.push([
+      entry.kind,
+      entry.label,
+      formatBytes(entry.sizeBytes),
+      formatAge(entry.ageMs),
+      `${formatAge(now - Date.parse(entry.lastUsedAt))} ago`,
+    ]);
+  });
+
+  lines.push(table.toString());
+  return lines.join("\n");
+};
+
+export const renderCacheStats = ({ stats, theme = fallbackTheme }) => {
+  const row = (label, value) => `${theme.muted(`${label}:`.padEnd(13))} ${value}`;
+  return [
+    theme.section("Cache"),
+    buildDivider("Cache", theme),
+    row("Directory", stats.directory),
+    row(
+      "Entries",
+      `${stats.entries} (${stats.weatherEntries} weather, ${stats.locationEntries} location, ${stats.historyEntries} history)`
+    ),
+    row("Size", `${formatBytes(stats.sizeBytes)} of ${formatBytes(stats.maxBytes)}`),
+    row("Oldest", formatAge(stats.oldestAgeMs)),
+    row("Max age", formatAge(stats.maxAgeMs)),
+    row("Weather TTL", formatAge(stats.weatherTtlMs)),
+    row("Location TTL", formatAge(stats.locationTtlMs)),
+  ].join("\n");
+};
+
+export const renderCacheRemoval = ({ result, verb, emptyLabel, theme = fallbackTheme }) =>
+  result.removed
+    ? theme.good(`${verb} ${result.removed} entr${result.removed === 1 ? "y" : "ies"} (${formatBytes(result.freedBytes)})`)
+    : theme.muted(emptyLabel);
+
+export const renderProfilesList = ({ profiles, activeName, theme = fallbackTheme }) => {
+  const lines = [theme.section("Profiles"), buildDivider("Profiles", theme)];
+
+  profiles.forEach((profile) => {
+    const isActive = profile.name === activeName;
+    const nameText = isActive ? theme.title(`${profile.name} [ACTIVE]`) : profile.name;
+    const sourceText = theme.dim(` (${profile.source})`);
+    const description = profile.error
+      ? ` ${theme.bad(`- invalid: ${profile.error}`)}`
+      : profile.description
+      ? ` ${theme.muted(`- ${profile.description}`)}`
+      : "";
+    lines.push(`  ${nameText}${sourceText}${description}`);
+  });
+
+  return lines.join("\n");
+};
+
+export const renderProfile = ({ profile, thresholds, speed, units, theme = fallbackTheme }) => {
+  const headerText = `Profile: ${profile.name}`;
+  const temperature = (value) => `${formatNumber(value, 0)}${units.temperature}`;
+  const wind = (value) => `${formatNumber(value, 0)} ${units.windSpeed}`;
+  const offset = Number(profile.temperatureOffset) || 0;
+
+  const lines = [
+    theme.section(headerText),
+    buildDivider(headerText, theme),
+    `${theme.muted("Description:")} ${theme.accent(profile.description || "–")}`,
+    `${theme.muted("Source:")} ${theme.accent(profile.source)}`,
+    `${theme.muted("Temperature offset:")} ${theme.accent(`${offset > 0 ? "+" : ""}${offset}°F`)}`,
+    `${theme.muted("Typical speed:")} ${theme.accent(wind(speed))}`,
+    "",
+    theme.section("Thresholds (feels like)"),
+    `${theme.muted("Full winter kit:")} ${theme.accent(`≤ ${temperature(thresholds.cold)}`)}`,
+    `${theme.muted("Warmers + long gloves:")} ${theme.accent(`≤ ${temperature(thresholds.cool)}`)}`,
+    `${theme.muted("Arm + knee warmers:")} ${theme.accent(`≤ ${temperature(thresholds.mild)}`)}`,
+    `${theme.muted("Hot weather kit:")} ${theme.accent(`≥ ${temperature(thresholds.hot)}`)}`,
+    `${theme.muted("Windbreaker at:")} ${theme.accent(wind(thresholds.windCaution))}`,
+    `${theme.muted("Wind alert at:")} ${theme.accent(wind(thresholds.windAlert))}`,
+    `${theme.muted("Gust alert at:")} ${theme.accent(wind(thresholds.gustAlert))}`,
+    `${theme.muted("Rain likely at:")} ${theme.accent(`${thresholds.rainLikely}%`)}`,
+    `${theme.muted("Rain possible at:")} ${theme.accent(`${thresholds.rainPossible}%`)}`,
+    "",
+    theme.section("Ride score weights"),
+    Object.entries(profile.weights ?? {})
+      .map(([factor, weight]) => `${theme.muted(`${factor}:`)} ${theme.accent(`×${weight}`)}`)
+      .join("   ") || theme.muted("defaults"),
+    "",
+    theme.section("Always wear"),
+    renderList(profile.kit?.wear ?? [], theme.good("*"), theme),
+    "",
+    theme.section("Always bring"),
+    renderList(profile.kit?.bring ?? [], theme.muted("-"), theme),
+    "",
+    theme.section("Tips"),
+    renderList(profile.tips ?? [], theme.muted("-"), theme),
+  ];
+
+  return lines.join("\n");
+};
+
+export const renderRulesValidation = ({ source, count, errors, theme = fallbackTheme }) => {
+  const lines = [theme.section("Rules"), buildDivider("Rules", theme), `${theme.muted("Source:")} ${theme.accent(source)}`];
+
+  if (!errors.length) {
+    lines.push(theme.good(`✓ ${count} rules valid`));
+    return lines.join("\n");
+  }
+
+  lines.push(theme.bad(`✗ ${errors.length} problem${errors.length === 1 ? "" : "s"} found`));
+  errors.forEach((error) => lines.push(theme.warn(`! ${error}`)));
+  return lines.join("\n");
+};
+
+export const renderRulesExplanation = ({ recommendation, theme = fallbackTheme, emojiEnabled = true }) => {
+  const wearIcon = emojiEnabled ? theme.good("✓") : theme.good("*");
+  const lists = [
+    { key: "wear", title: "Wear", icon: wearIcon },
+    { key: "bring", title: "Bring", icon: theme.muted("-") },
+    { key: "alerts", title: "Heads up", icon: theme.warn("!") },
+  ];
+  const sections = [];
+
+  lists.forEach(({ key, title, icon }) => {
+    const sources = recommendation.sources.filter((source) => source.list === key);
+    if (sections.length) {
+      sections.push("");
+    }
+    sections.push(theme.section(title));
+    if (!sources.length) {
+      sections.push(theme.muted("- none"));
+      return;
+    }
+    sources.forEach((source) => {
+      sections.push(`${icon} ${source.item} ${theme.dim(`← ${source.rule}: ${source.reason}`)}`);
+    });
+  });
+
+  if (recommendation.unmatched?.length) {
+    sections.push("", theme.section("Not triggered"), theme.muted(recommendation.unmatched.join(", ")));
+  }
+
+  return sections.join("\n");
+};
+
+// One watch event per block, stamped with the machine's clock at the check.
+export const renderWatchEvent = ({ notification, theme = fallbackTheme }) => {
+  const checkedAt = new Date(notification.checkedAt).toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" });
+  const stamp = theme.muted(`[${checkedAt}]`);
+  if (notification.event !== "change") {
+    return `${stamp} ${theme.body(notification.message)}`;
+  }
+  const color = (change) => (change.field === "verdict" || change.field === "alerts" ? theme.warn : theme.accent);
+  return [
+    `${stamp} ${theme.title(notification.location)} ${theme.muted(
+      `— ${formatDisplayDay(notification.time)}, ${formatDisplayTime(notification.time)}`
+    )}`,
+    ...notification.changes.map((change) => `  ${color(change)(change.message)}`),
+  ].join("\n");
+};
+
 export const renderConfigSummary = ({ title, entries, theme = fallbackTheme }) => {
   const headerText = title;
   const divider = buildDivider(headerText, theme);
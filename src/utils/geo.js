@@ -0,0 +1,116 @@
+const EARTH_RADIUS_KM = 6371;
+export const KM_PER_MILE = 1.609344;
+const FEET_PER_METER = 3.28084;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const parseCoordinates = (input) => {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(input ?? ""));
+  if (!match) {
+    return null;
+  }
+  const latitude = Number(match[1]);
+  const longitude = Number(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+export const haversineKm = (from, to) => {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const deltaLat = lat2 - lat1;
+  const deltaLon = toRadians(to.longitude - from.longitude);
+
+  const a =
+    Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+export const bearingDegrees = (from, to) => {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const deltaLon = toRadians(to.longitude - from.longitude);
+
+  const y = Math.sin(deltaLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLon);
+  const degrees = (Math.atan2(y, x) * 180) / Math.PI;
+
+  return (degrees + 360) % 360;
+};
+
+export const interpolatePoints = (from, to, segments) => {
+  const count = Math.max(1, Math.round(segments));
+  const points = [];
+
+  for (let i = 0; i <= count; i++) {
+    const fraction = i / count;
+    points.push({
+      latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+      longitude: from.longitude + (to.longitude - from.longitude) * fraction,
+      fraction,
+    });
+  }
+
+  return points;
+};
+
+export const kmToDisplayDistance = (km, distanceUnit) =>
+  distanceUnit === "mi" ? km / KM_PER_MILE : km;
+
+export const metersToDisplayElevation = (meters, distanceUnit) =>
+  distanceUnit === "mi" ? meters * FEET_PER_METER : meters;
+
+export const buildTrackProfile = (points) => {
+  let distanceKm = 0;
+  let climbM = 0;
+  let descentM = 0;
+
+  const profile = points.map((point, index) => {
+    const previous = points[index - 1];
+    if (previous) {
+      distanceKm += haversineKm(previous, point);
+      if (Number.isFinite(previous.elevation) && Number.isFinite(point.elevation)) {
+        const delta = point.elevation - previous.elevation;
+        if (delta > 0) {
+          climbM += delta;
+        } else {
+          descentM -= delta;
+        }
+      }
+    }
+    return { ...point, distanceKm, climbM };
+  });
+
+  return { points: profile, distanceKm, climbM, descentM };
+};
+
+export const sampleCheckpoints = (profile, spacingKm, maxCheckpoints) => {
+  const { points, distanceKm } = profile;
+  if (!points.length) {
+    return [];
+  }
+
+  const segments = Math.min(
+    maxCheckpoints - 1,
+    Math.max(1, Math.ceil(distanceKm / spacingKm))
+  );
+  const checkpoints = [];
+  let cursor = 0;
+
+  for (let i = 0; i <= segments; i++) {
+    const targetKm = (distanceKm * i) / segments;
+    while (cursor < points.length - 1 && points[cursor + 1].distanceKm <= targetKm) {
+      cursor++;
+    }
+    const point = i === segments ? points[points.length - 1] : points[cursor];
+    if (checkpoints[checkpoints.length - 1] !== point) {
+      checkpoints.push(point);
+    }
+  }
+
+  return checkpoints;
+};
@@ -0,0 +1,93 @@
+// Light along a ride: daylight between sunrise and sunset, civil twilight until the sun is 6°
+// below the horizon, dark after that. Most places require lights from sunset to sunrise.
+export const LIGHTING_LEVELS = ["daylight", "twilight", "dark"];
+
+const SAMPLE_MINUTES = 1;
+const MINUTE_MS = 60 * 1000;
+
+const clock = (time) => time.slice(11, 16);
+
+const minutesBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / MINUTE_MS);
+
+const shiftTime = (time, minutes) =>
+  new Date(Date.parse(`${time}:00Z`) + minutes * MINUTE_MS).toISOString().slice(0, 16);
+
+// `daylight` must be for the date of `time`. Without a dawn or dusk the sun never
+// gets 6° below the horizon, so the night stays twilight.
+export const lightingAt = (daylight, time) => {
+  if (!daylight?.sunrise || !daylight?.sunset || !time) {
+    return null;
+  }
+  if (time >= daylight.sunrise && time <= daylight.sunset) {
+    return "daylight";
+  }
+  if (time < daylight.sunrise) {
+    return !daylight.dawn || time >= daylight.dawn ? "twilight" : "dark";
+  }
+  return !daylight.dusk || time <= daylight.dusk ? "twilight" : "dark";
+};
+
+export const rankLighting = (level) => LIGHTING_LEVELS.indexOf(level);
+
+const buildNotice = ({ start, end, startLight, endLight, startDay, endDay }) => {
+  if (startLight === "dark" && endLight === "dark") {
+    return "The whole ride is in the dark";
+  }
+  if (endLight === "dark" && endDay.dusk) {
+    return `You will finish ${minutesBetween(endDay.dusk, end)} min after dark (${clock(endDay.dusk)})`;
+  }
+  if (endLight === "twilight" && end > endDay.sunset) {
+    return `You will finish ${minutesBetween(endDay.sunset, end)} min after sunset, in twilight`;
+  }
+  if (startLight === "dark" && startDay.dawn) {
+    return `You will start ${minutesBetween(start, startDay.dawn)} min before first light (${clock(startDay.dawn)})`;
+  }
+  if (startLight === "twilight" && start < startDay.sunrise) {
+    return `You will start ${minutesBetween(start, startDay.sunrise)} min before sunrise, in twilight`;
+  }
+  if (startLight !== "daylight" || endLight !== "daylight") {
+    return "Part of the ride is after sunset";
+  }
+  return null;
+};
+
+// getDaylight(dateKey) returns { sunrise, sunset, dawn, dusk } for that date, or null.
+export const planRideLighting = ({ getDaylight, start, end }) => {
+  const samples = [];
+  for (let time = start; time <= end; time = shiftTime(time, SAMPLE_MINUTES)) {
+    samples.push(time);
+  }
+  if (samples[samples.length - 1] !== end) {
+    samples.push(end);
+  }
+
+  const levels = samples.map((time) => lightingAt(getDaylight(time.slice(0, 10)), time));
+  if (levels.some((level) => level === null)) {
+    return null;
+  }
+
+  const startDay = getDaylight(start.slice(0, 10));
+  const endDay = getDaylight(end.slice(0, 10));
+  const startLight = levels[0];
+  const endLight = levels[levels.length - 1];
+  const condition = levels.reduce((worst, level) => (rankLighting(level) > rankLighting(worst) ? level : worst));
+  const sunsetDuringRide = [startDay.sunset, endDay.sunset].find((time) => time > start && time < end);
+  const lightsOn = startLight === "daylight" ? sunsetDuringRide ?? null : start;
+  const darkSamples = levels.slice(0, -1).filter((level) => level === "dark").length;
+
+  return {
+    start,
+    end,
+    condition,
+    lightsRequired: condition !== "daylight",
+    lightsOn,
+    advice:
+      condition === "daylight"
+        ? null
+        : !lightsOn || lightsOn === start
+        ? "Lights required from the start"
+        : `Lights required from ${clock(lightsOn)} (sunset)`,
+    darkMinutes: Math.min(darkSamples * SAMPLE_MINUTES, minutesBetween(start, end)),
+    notice: buildNotice({ start, end, startLight, endLight, startDay, endDay }),
+  };
+};
@@ -1,4 +1,11 @@
-import { loadData, getComponents, addMaintenanceEvent, getMaintenanceEvents, getBikes } from "../services/db.js";
+import {
+  loadData,
+  getActivities,
+  getComponents,
+  addMaintenanceEvent,
+  getMaintenanceEvents,
+  getBikes,
+} from "../services/db.js";
 
 const COMPONENT_INTERVALS = {
   chain: { km: 3200, hours: 200 },
@@ -61,6 +68,13 @@ export const getMaintenanceStatus = async (bikeId) => {
     return a.remaining - b.remaining;
   });
 
+  // Rain washes the lube off and grinds grit into the drivetrain, so wet rides since the
+  // last chain service are counted from the weather `bike rides annotate` stores on each ride.
+  const lastChainService = events.find((e) => e.kind === "chain");
+  const wetRides = getActivities(data, { bikeId, since: lastChainService?.occurredAt }).filter(
+    (activity) => activity.weather?.wet
+  );
+
   return {
     bike: {
       id: bike.id,
@@ -69,6 +83,11 @@ export const getMaintenanceStatus = async (bikeId) => {
     },
     components: sorted,
     recentEvents: events.slice(0, 5),
+    wetRides: {
+      since: lastChainService?.occurredAt ?? null,
+      count: wetRides.length,
+      distanceM: wetRides.reduce((sum, activity) => sum + (activity.distanceM || 0), 0),
+    },
   };
 };
 
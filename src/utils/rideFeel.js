@@ -0,0 +1,66 @@
+import { KM_PER_MILE } from "./geo.js";
+import { celsiusToFahrenheit, fahrenheitToCelsius, heatIndexF, windChillF } from "./weatherData.js";
+
+// How the weather feels on the bike rather than standing still. Riding adds its own airflow,
+// so the wind chill uses the rider's speed combined with the wind (at right angles, as an
+// average over headings). The chill fades out between 50°F and 80°F; above that the heat
+// index applies, since moving air can't cool skin once the air is near body temperature.
+export const SWEAT_LEVELS = ["light", "moderate", "heavy"];
+export const HEAT_STRESS_LEVELS = ["none", "caution", "extreme caution", "danger", "extreme danger"];
+
+const CHILL_LIMIT_F = 50;
+const HEAT_LIMIT_F = 80;
+
+// NWS heat index categories (°F).
+const HEAT_STRESS_F = { caution: 80, "extreme caution": 90, danger: 103, "extreme danger": 125 };
+
+const round = (value) => Number(value.toFixed(1));
+
+const toFahrenheit = (value, units) => (units.temperature === "°C" ? celsiusToFahrenheit(value) : value);
+const fromFahrenheit = (value, units) => (units.temperature === "°C" ? fahrenheitToCelsius(value) : value);
+const toMph = (value, units) => (units.windSpeed === "km/h" ? value / KM_PER_MILE : value);
+
+const heatIndexOrAir = (fahrenheit, humidity) =>
+  fahrenheit >= HEAT_LIMIT_F && Number.isFinite(humidity) ? Math.max(fahrenheit, heatIndexF(fahrenheit, humidity)) : fahrenheit;
+
+const rateHeatStress = (heatIndex) =>
+  [...HEAT_STRESS_LEVELS].reverse().find((level) => heatIndex >= (HEAT_STRESS_F[level] ?? -Infinity));
+
+// Sweat follows the heat in the air, not the airflow; humid air also stops sweat from drying.
+const rateSweat = (heatIndex, humidity) => {
+  if (heatIndex >= HEAT_LIMIT_F) {
+    return "heavy";
+  }
+  if (heatIndex >= 65 || (heatIndex >= 55 && humidity >= 80)) {
+    return "moderate";
+  }
+  return "light";
+};
+
+// speed and windSpeed are in units.windSpeed; humidity is % and may be missing.
+export const assessRideFeel = ({ temperature, windSpeed, humidity = null, speed, units }) => {
+  if (!Number.isFinite(temperature) || !Number.isFinite(speed)) {
+    return null;
+  }
+
+  const fahrenheit = toFahrenheit(temperature, units);
+  const airflowMph = Math.hypot(toMph(speed, units), toMph(windSpeed ?? 0, units));
+  const heatIndex = heatIndexOrAir(fahrenheit, humidity);
+
+  let feels = heatIndex;
+  if (fahrenheit <= CHILL_LIMIT_F && airflowMph >= 3) {
+    feels = windChillF(fahrenheit, airflowMph);
+  } else if (fahrenheit < HEAT_LIMIT_F && airflowMph >= 3) {
+    const chillAtLimit = windChillF(CHILL_LIMIT_F, airflowMph) - CHILL_LIMIT_F;
+    feels = fahrenheit + (chillAtLimit * (HEAT_LIMIT_F - fahrenheit)) / (HEAT_LIMIT_F - CHILL_LIMIT_F);
+  }
+
+  return {
+    feelsLike: round(fromFahrenheit(feels, units)),
+    speed: round(speed),
+    airflow: round(units.windSpeed === "km/h" ? airflowMph * KM_PER_MILE : airflowMph),
+    humidity: Number.isFinite(humidity) ? humidity : null,
+    sweat: rateSweat(heatIndex, humidity),
+    heatStress: rateHeatStress(heatIndex),
+  };
+};
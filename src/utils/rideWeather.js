@@ -0,0 +1,167 @@
+import { KM_PER_MILE } from "./geo.js";
+import { UNIT_LABELS, celsiusToFahrenheit, millimetersTo, toLocalDateTime } from "./weatherData.js";
+import { shiftWallClock } from "./timeInput.js";
+
+// Weather for synced rides, from the hourly archive at the ride's start point. Annotations
+// are stored in metric and converted for display, so switching units never mixes them.
+const HOURLY_FIELDS = {
+  temperature: "temperature_2m",
+  feelsLike: "apparent_temperature",
+  precipitation: "precipitation",
+  windSpeed: "windspeed_10m",
+  windDirection: "winddirection_10m",
+  windGusts: "windgusts_10m",
+  weatherCode: "weathercode",
+};
+
+// An hour with at least this much rain (mm) counts as wet; less is a trace that dries as it lands.
+const WET_HOUR_MM = 0.1;
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+const parseRaw = (activity) => {
+  try {
+    return JSON.parse(activity.rawJson ?? "{}") ?? {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Start point and local start time from the Strava payload. Indoor rides have no start_latlng.
+export const readRideStart = (activity) => {
+  const raw = parseRaw(activity);
+  const [latitude, longitude] = Array.isArray(raw.start_latlng) ? raw.start_latlng : [];
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+  // start_date_local is wall-clock time despite its trailing Z.
+  const localStart = (raw.start_date_local ?? activity.startDate)?.slice(0, 16);
+  const minutes = Math.max(1, Math.round((activity.elapsedTimeS || activity.movingTimeS || 0) / 60));
+  return {
+    name: raw.name ?? null,
+    latitude,
+    longitude,
+    dates: [localStart.slice(0, 10), shiftWallClock(localStart, minutes).slice(0, 10)].filter(
+      (date, index, dates) => dates.indexOf(date) === index
+    ),
+  };
+};
+
+const hourOf = (time) => `${time.slice(0, 13)}:00`;
+
+const readHour = (hourly, index) =>
+  Object.fromEntries(Object.entries(HOURLY_FIELDS).map(([key, series]) => [key, hourly[series]?.[index] ?? null]));
+
+// data is archive weather in metric covering the ride's local dates. Returns null while the
+// archive hasn't published those hours yet (it trails real time by a few days).
+export const summarizeRideWeather = ({ activity, data, describe = (code) => String(code) }) => {
+  const times = data?.hourly?.time ?? [];
+  const start = toLocalDateTime(new Date(activity.startDate), data?.timezone);
+  if (!start || !times.length) {
+    return null;
+  }
+  const end = shiftWallClock(start, Math.max(1, Math.round((activity.elapsedTimeS || activity.movingTimeS || 0) / 60)));
+
+  const hours = times
+    .map((time, index) => ({ time, ...readHour(data.hourly, index) }))
+    .filter((hour) => hour.time >= hourOf(start) && hour.time <= end);
+  if (!hours.length || hours.some((hour) => !Number.isFinite(hour.temperature) || !Number.isFinite(hour.precipitation))) {
+    return null;
+  }
+
+  const values = (key) => hours.map((hour) => hour[key]).filter(Number.isFinite);
+  const [first] = hours;
+  const wetHours = hours.filter((hour) => hour.precipitation >= WET_HOUR_MM).length;
+
+  return {
+    source: "open-meteo-archive",
+    timezone: data.timezone ?? null,
+    start: {
+      time: start,
+      temperature: first.temperature,
+      feelsLike: first.feelsLike,
+      windSpeed: first.windSpeed,
+      windDirection: first.windDirection,
+      windGusts: first.windGusts,
+      precipitation: first.precipitation,
+      weatherCode: first.weatherCode,
+      summary: describe(first.weatherCode),
+    },
+    during: {
+      hours: hours.length,
+      minTemperature: Math.min(...values("temperature")),
+      maxTemperature: Math.max(...values("temperature")),
+      maxWindSpeed: values("windSpeed").length ? Math.max(...values("windSpeed")) : null,
+      maxGusts: values("windGusts").length ? Math.max(...values("windGusts")) : null,
+      precipitation: round(values("precipitation").reduce((sum, value) => sum + value, 0)),
+      wetHours,
+    },
+    wet: wetHours > 0,
+  };
+};
+
+const convert = {
+  temperature: (value, units) => (units === "us" ? celsiusToFahrenheit(value) : value),
+  windSpeed: (value, units) => (units === "us" ? value / KM_PER_MILE : value),
+  precipitation: (value, units) => millimetersTo(value, units),
+};
+
+const toDisplay = (kind, value, units, digits = 1) =>
+  Number.isFinite(value) ? round(convert[kind](value, units), digits) : null;
+
+const describeRide = (activity, key, value) => ({
+  id: activity.id,
+  name: parseRaw(activity).name ?? null,
+  startDate: activity.startDate,
+  start: activity.weather.start.time,
+  [key]: value,
+});
+
+// Weather stats over a set of activities; only annotated rides count. Values are in `units`.
+export const summarizeWeatherStats = (activities, units = "metric") => {
+  const annotated = activities.filter((activity) => activity.weather);
+  const wet = annotated.filter((activity) => activity.weather.wet);
+  const extreme = (read, pick) =>
+    annotated.reduce((best, activity) => {
+      const value = read(activity.weather);
+      return Number.isFinite(value) && (!best || pick(value, read(best.weather))) ? activity : best;
+    }, null);
+
+  const coldest = extreme((weather) => weather.during.minTemperature, (a, b) => a < b);
+  const hottest = extreme((weather) => weather.during.maxTemperature, (a, b) => a > b);
+  const windiest = extreme((weather) => weather.during.maxWindSpeed, (a, b) => a > b);
+
+  return {
+    annotatedRides: annotated.length,
+    unannotatedRides: activities.length - annotated.length,
+    wetRides: wet.length,
+    wetDistanceM: wet.reduce((sum, activity) => sum + (activity.distanceM || 0), 0),
+    coldest: coldest
+      ? describeRide(coldest, "temperature", toDisplay("temperature", coldest.weather.during.minTemperature, units))
+      : null,
+    hottest: hottest
+      ? describeRide(hottest, "temperature", toDisplay("temperature", hottest.weather.during.maxTemperature, units))
+      : null,
+    windiest: windiest
+      ? describeRide(windiest, "windSpeed", toDisplay("windSpeed", windiest.weather.during.maxWindSpeed, units))
+      : null,
+    units: UNIT_LABELS[units] ?? UNIT_LABELS.metric,
+  };
+};
+
+// One row per ride for `bike rides annotate`, in display units.
+export const describeRideWeather = (activity, units = "metric") => {
+  const { start, during, wet } = activity.weather;
+  return {
+    id: activity.id,
+    name: parseRaw(activity).name ?? null,
+    start: start.time,
+    summary: start.summary,
+    temperature: toDisplay("temperature", start.temperature, units),
+    minTemperature: toDisplay("temperature", during.minTemperature, units),
+    maxTemperature: toDisplay("temperature", during.maxTemperature, units),
+    maxWindSpeed: toDisplay("windSpeed", during.maxWindSpeed, units, 0),
+    precipitation: toDisplay("precipitation", during.precipitation, units, units === "us" ? 2 : 1),
+    wet,
+  };
+};
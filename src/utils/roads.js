@@ -0,0 +1,124 @@
+// Road-surface model. Works in mm and °C internally and reports in the caller's units.
+export const ROAD_STATES = ["dry", "damp", "wet", "puddles", "snow", "possible black ice"];
+
+const MEASURABLE_RAIN_MM = 0.1;
+const PUDDLE_RAIN_3H_MM = 4;
+const PUDDLE_RAIN_12H_MM = 12;
+const SNOW_COVER_CM = 1;
+const FREEZING_C = 1;
+
+const toMm = (value, units) => (units.precipitation === "in" ? value * 25.4 : value);
+const toCelsius = (value, units) => (units.temperature === "°F" ? ((value - 32) * 5) / 9 : value);
+// Open-Meteo reports snowfall in cm (inches with inch units) and snow depth in m (ft).
+const snowfallToCm = (value, units) => (units.precipitation === "in" ? value * 2.54 : value);
+const snowDepthToCm = (value, units) => (units.precipitation === "in" ? value * 30.48 : value * 100);
+
+const sum = (values) => values.filter(Number.isFinite).reduce((total, value) => total + value, 0);
+
+// Rough time for a road to dry after rain: more rain and colder air take longer.
+const dryingHours = (rainMm, temperatureC) => {
+  const base = rainMm < 1 ? 2 : rainMm < 5 ? 4 : rainMm < 15 ? 8 : 12;
+  const factor = temperatureC < 5 ? 2 : temperatureC < 12 ? 1.4 : temperatureC > 22 ? 0.7 : 1;
+  return base * factor;
+};
+
+const collectHours = (data, time) => {
+  const rows = [];
+  [data.antecedent, data.hourly].forEach((series) => {
+    (series?.time ?? []).forEach((hour, index) => {
+      if (hour <= time) {
+        rows.push({
+          precipitation: series.precipitation?.[index],
+          temperature: series.temperature_2m?.[index],
+          snowfall: series.snowfall?.[index],
+          snowDepth: series.snow_depth?.[index],
+        });
+      }
+    });
+  });
+  return rows;
+};
+
+export const rankRoadStatus = (status) => ROAD_STATES.indexOf(status);
+
+export const assessRoadConditions = ({ data, units, time }) => {
+  const rows = collectHours(data, time ?? data.current_weather?.time ?? "");
+  if (!rows.some((row) => Number.isFinite(row.precipitation))) {
+    return { status: "unknown", reason: "No rainfall amounts available" };
+  }
+
+  const rain = rows.map((row) => (Number.isFinite(row.precipitation) ? toMm(row.precipitation, units) : null));
+  const temps = rows.map((row) => (Number.isFinite(row.temperature) ? toCelsius(row.temperature, units) : null));
+  const rainLast = (hours) => sum(rain.slice(-hours));
+  const formatRain = (mm) =>
+    units.precipitation === "in" ? `${(mm / 25.4).toFixed(2)} in` : `${mm.toFixed(1)} mm`;
+  // A dusting under 1 cm keeps an extra digit so it never reads as "0 cm".
+  const formatSnow = (cm) => {
+    const digits = cm < 1 ? 1 : 0;
+    return units.precipitation === "in" ? `${(cm / 2.54).toFixed(digits + 1)} in` : `${cm.toFixed(digits)} cm`;
+  };
+  const formatTemp = (celsius) =>
+    `${Math.round(units.temperature === "°F" ? (celsius * 9) / 5 + 32 : celsius)}${units.temperature}`;
+
+  const temperatureNow = temps.filter(Number.isFinite).pop() ?? null;
+  const maxTemperature24h = Math.max(...temps.slice(-24).filter(Number.isFinite));
+  const snowDepthCm = snowDepthToCm(rows[rows.length - 1].snowDepth ?? 0, units);
+  const snowfall24hCm = snowfallToCm(sum(rows.slice(-24).map((row) => row.snowfall)), units);
+
+  const lastRainIndex = rain.findLastIndex((value) => value >= MEASURABLE_RAIN_MM);
+  const hoursSinceRain = lastRainIndex === -1 ? null : rain.length - 1 - lastRainIndex;
+  const rain24h = rainLast(24);
+  const sinceRainTemps = temps.slice(lastRainIndex === -1 ? 0 : lastRainIndex).filter(Number.isFinite);
+  const dryingTemperature = sinceRainTemps.length
+    ? sinceRainTemps.reduce((total, value) => total + value, 0) / sinceRainTemps.length
+    : temperatureNow ?? 10;
+  const dryAfter = dryingHours(rain24h, dryingTemperature);
+  const stillWet = hoursSinceRain !== null && rain24h > 0 && hoursSinceRain < dryAfter;
+  const freezing = Number.isFinite(temperatureNow) && temperatureNow <= FREEZING_C;
+
+  if (snowDepthCm >= SNOW_COVER_CM) {
+    return { status: "snow", reason: `${formatSnow(snowDepthCm)} of snow on the ground` };
+  }
+  if (snowfall24hCm >= SNOW_COVER_CM && Number.isFinite(temperatureNow) && temperatureNow <= 2) {
+    return { status: "snow", reason: `${formatSnow(snowfall24hCm)} of fresh snow in the last 24 h` };
+  }
+
+  if (freezing && (stillWet || snowfall24hCm > 0)) {
+    const fell = [
+      ...(stillWet ? [`${formatRain(rain24h)} of rain`] : []),
+      ...(snowfall24hCm > 0 ? [`${formatSnow(snowfall24hCm)} of fresh snow`] : []),
+    ].join(" and ");
+    return {
+      status: "possible black ice",
+      reason: `${fell} in the last 24 h and ${formatTemp(temperatureNow)} now`,
+    };
+  }
+  if (freezing && temperatureNow <= 0 && maxTemperature24h >= 3 && rainLast(48) >= MEASURABLE_RAIN_MM) {
+    return {
+      status: "possible black ice",
+      reason: `Thawed to ${formatTemp(maxTemperature24h)}, now ${formatTemp(temperatureNow)} — meltwater can refreeze`,
+    };
+  }
+
+  if (stillWet && (rainLast(3) >= PUDDLE_RAIN_3H_MM || rainLast(12) >= PUDDLE_RAIN_12H_MM)) {
+    return { status: "puddles", reason: `${formatRain(rainLast(12))} of rain in the last 12 h` };
+  }
+
+  if (hoursSinceRain === 0) {
+    return { status: "wet", reason: `Raining now, ${formatRain(rain[rain.length - 1])} this hour` };
+  }
+  if (stillWet && hoursSinceRain < dryAfter / 2) {
+    return { status: "wet", reason: `${formatRain(rain24h)} of rain, last ${hoursSinceRain} h ago` };
+  }
+  if (stillWet) {
+    return { status: "damp", reason: `${formatRain(rain24h)} of rain ended ${hoursSinceRain} h ago; still drying` };
+  }
+
+  return {
+    status: "dry",
+    reason:
+      hoursSinceRain === null
+        ? `No rain in the last ${rows.length} h`
+        : `Last rain ${hoursSinceRain} h ago has dried`,
+  };
+};
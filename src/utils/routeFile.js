@@ -0,0 +1,96 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+const readTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, "i"));
+  return match ? decodeEntities(match[1].trim()) : null;
+};
+
+const readAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`, "i"));
+  return match ? Number(match[1]) : NaN;
+};
+
+const toNumber = (value) => (value === null ? NaN : Number(value));
+
+const parseGpx = (xml) => {
+  const points = [];
+  const pattern = /<(?:\w+:)?(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?\1>)/gi;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [, , attributes, body = ""] = match;
+    points.push({
+      latitude: readAttribute(attributes, "lat"),
+      longitude: readAttribute(attributes, "lon"),
+      elevation: toNumber(readTag(body, "ele")),
+    });
+  }
+
+  const name = readTag(xml.match(/<(?:\w+:)?(?:trk|rte)\b[\s\S]*$/i)?.[0] ?? "", "name") ?? readTag(xml, "name");
+  return { name, points };
+};
+
+const parseTcx = (xml) => {
+  const points = [];
+  const pattern = /<(?:\w+:)?Trackpoint\b[^>]*>([\s\S]*?)<\/(?:\w+:)?Trackpoint>/gi;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const body = match[1];
+    points.push({
+      latitude: toNumber(readTag(body, "LatitudeDegrees")),
+      longitude: toNumber(readTag(body, "LongitudeDegrees")),
+      elevation: toNumber(readTag(body, "AltitudeMeters")),
+    });
+  }
+
+  // Only a Course carries its own Name; the first <Name> in an activity export is the
+  // device in <Creator>, and course points have names of their own.
+  const course = xml.match(/<(?:\w+:)?Course\b[^>]*>([\s\S]*?)<\/(?:\w+:)?Course>/i)?.[1] ?? "";
+  const courseName = readTag(course.replace(/<(?:\w+:)?(CoursePoint|Creator)\b[\s\S]*?<\/(?:\w+:)?\1>/gi, ""), "Name");
+  return { name: courseName ?? readTag(xml, "Id"), points };
+};
+
+export const parseRouteFile = (contents, fileName = "") => {
+  const extension = path.extname(fileName).toLowerCase();
+  const isTcx = extension === ".tcx" || /<TrainingCenterDatabase\b/i.test(contents);
+  const isGpx = extension === ".gpx" || /<gpx\b/i.test(contents);
+
+  if (!isTcx && !isGpx) {
+    throw new Error("Route file must be GPX or TCX.");
+  }
+
+  const parsed = isTcx ? parseTcx(contents) : parseGpx(contents);
+  const points = parsed.points.filter(
+    (point) => Number.isFinite(point.latitude) && Number.isFinite(point.longitude)
+  );
+
+  if (points.length < 2) {
+    throw new Error("Route file needs at least two track points.");
+  }
+
+  return {
+    name: parsed.name || path.basename(fileName, extension) || "Route",
+    format: isTcx ? "tcx" : "gpx",
+    points,
+  };
+};
+
+export const loadRouteFile = async (filePath) => {
+  let contents;
+  try {
+    contents = await fs.readFile(filePath, "utf-8");
+  } catch (error) {
+    throw new Error(`Unable to read route file: ${filePath}`);
+  }
+  return parseRouteFile(contents, filePath);
+};
@@ -0,0 +1,92 @@
+import { buildThresholds, getDefaultProfile } from "../services/profiles.js";
+
+// Safety verdict for a ride window. Hazards are hard limits, separate from the comfort
+// thresholds used for clothing; gusts also respect the profile's gust alert.
+export const VERDICTS = ["GO", "CAUTION", "NO-GO"];
+
+// GO exits 0; errors already exit 1.
+export const VERDICT_EXIT_CODES = { GO: 0, CAUTION: 3, "NO-GO": 4 };
+
+const LIGHTNING_CODES = [95, 96, 99];
+const HAIL_CODES = [96, 99];
+const FREEZING_RAIN_CODES = [56, 57, 66, 67];
+
+const LIMITS = {
+  "°F": { heatCaution: 90, heatStop: 100, coldCaution: 15, coldStop: 0 },
+  "°C": { heatCaution: 32, heatStop: 38, coldCaution: -9, coldStop: -18 },
+};
+const GUST_STOP_MPH = 45;
+
+const clock = (time) => time?.split("T")[1]?.slice(0, 5) ?? "";
+
+const findFirst = (hours, test) => hours.find(test) ?? null;
+
+const findPeak = (hours, read, compare) =>
+  hours.reduce((peak, hour) => {
+    const value = read(hour);
+    if (!Number.isFinite(value)) {
+      return peak;
+    }
+    return !peak || compare(value, read(peak)) ? hour : peak;
+  }, null);
+
+// hours: condition snapshots covering the ride (time, weatherCode, feelsLike, windGusts, units).
+export const assessSafety = ({ hours, profile = getDefaultProfile() }) => {
+  const hazards = [];
+  if (!hours.length) {
+    return { verdict: "GO", reasons: [] };
+  }
+
+  const units = hours[0].units;
+  const limits = LIMITS[units.temperature] ?? LIMITS["°F"];
+  const thresholds = buildThresholds(profile, units);
+  const gustStop = units.windSpeed === "km/h" ? GUST_STOP_MPH * 1.609344 : GUST_STOP_MPH;
+  const add = (level, reason) => hazards.push({ level, reason });
+
+  const hail = findFirst(hours, (hour) => HAIL_CODES.includes(hour.weatherCode));
+  const lightning = findFirst(hours, (hour) => LIGHTNING_CODES.includes(hour.weatherCode));
+  if (hail) {
+    add("NO-GO", `Thunderstorm with hail at ${clock(hail.time)}`);
+  } else if (lightning) {
+    add("NO-GO", `Thunderstorm at ${clock(lightning.time)} - lightning risk`);
+  }
+
+  const freezingRain = findFirst(hours, (hour) => FREEZING_RAIN_CODES.includes(hour.weatherCode));
+  if (freezingRain) {
+    add("NO-GO", `Freezing rain at ${clock(freezingRain.time)} - roads will ice over`);
+  }
+
+  const hottest = findPeak(hours, (hour) => hour.feelsLike, (a, b) => a > b);
+  if (hottest && hottest.feelsLike >= limits.heatCaution) {
+    add(
+      hottest.feelsLike >= limits.heatStop ? "NO-GO" : "CAUTION",
+      `Extreme heat, feels ${Math.round(hottest.feelsLike)}${units.temperature} at ${clock(hottest.time)}`
+    );
+  }
+
+  const coldest = findPeak(hours, (hour) => hour.feelsLike, (a, b) => a < b);
+  if (coldest && coldest.feelsLike <= limits.coldCaution) {
+    add(
+      coldest.feelsLike <= limits.coldStop ? "NO-GO" : "CAUTION",
+      `Extreme cold, feels ${Math.round(coldest.feelsLike)}${units.temperature} at ${clock(coldest.time)}`
+    );
+  }
+
+  const gustiest = findPeak(hours, (hour) => hour.windGusts, (a, b) => a > b);
+  if (gustiest && gustiest.windGusts >= thresholds.gustAlert) {
+    add(
+      gustiest.windGusts >= gustStop ? "NO-GO" : "CAUTION",
+      `Gusts to ${Math.round(gustiest.windGusts)} ${units.windSpeed} at ${clock(gustiest.time)}`
+    );
+  }
+
+  const rank = (level) => VERDICTS.indexOf(level);
+  const verdict = hazards.reduce((worst, hazard) => (rank(hazard.level) > rank(worst) ? hazard.level : worst), "GO");
+
+  return {
+    verdict,
+    reasons: hazards
+      .sort((a, b) => rank(b.level) - rank(a.level))
+      .map((hazard) => hazard.reason),
+  };
+};
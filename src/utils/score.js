@@ -0,0 +1,139 @@
+// 0–100 rideability score. Each factor costs points; the rider profile's weights scale
+// those costs. Factors without data (e.g. no road status) cost nothing.
+export const COMFORT_BANDS = {
+  "°F": { low: 60, high: 75, perDegree: 2, calmWind: 8, perWind: 2 },
+  "°C": { low: 16, high: 24, perDegree: 3.6, calmWind: 13, perWind: 1.25 },
+};
+
+export const THUNDER_CODES = [95, 96, 99];
+export const FROZEN_CODES = [56, 57, 66, 67, 71, 73, 75, 77, 85, 86];
+const RAIN_CODES = [51, 53, 55, 61, 63, 65, 80, 81, 82];
+const FOG_CODES = [45, 48];
+
+export const SCORE_FACTORS = ["temperature", "wind", "precipitation", "road", "daylight", "airQuality"];
+
+export const DEFAULT_SCORE_WEIGHTS = Object.fromEntries(SCORE_FACTORS.map((factor) => [factor, 1]));
+
+const ROAD_PENALTIES = { dry: 0, damp: 5, wet: 10, puddles: 15, snow: 30, "possible black ice": 40 };
+const LIGHTING_PENALTIES = { daylight: 0, twilight: 5, dark: 15 };
+
+const weatherCodePenalty = (code) => {
+  if (THUNDER_CODES.includes(code)) {
+    return 40;
+  }
+  if (FROZEN_CODES.includes(code)) {
+    return 30;
+  }
+  if (RAIN_CODES.includes(code)) {
+    return 15;
+  }
+  if (FOG_CODES.includes(code)) {
+    return 5;
+  }
+  return 0;
+};
+
+const airQualityPenalty = (aqi) => {
+  if (!Number.isFinite(aqi) || aqi <= 50) {
+    return 0;
+  }
+  if (aqi <= 100) {
+    return (aqi - 50) * 0.1;
+  }
+  if (aqi <= 150) {
+    return 5 + (aqi - 100) * 0.2;
+  }
+  return Math.min(40, 15 + (aqi - 150) * 0.25);
+};
+
+const measureFactors = (hour, units) => {
+  const band = COMFORT_BANDS[units.temperature] ?? COMFORT_BANDS["°F"];
+  const feelsLike = Number.isFinite(hour.feelsLike) ? hour.feelsLike : hour.temperature;
+  const degrees = (value) => `${Math.round(value)}${units.temperature}`;
+  const windSpeed = hour.windSpeed ?? 0;
+  const precipProbability = hour.precipProbability ?? 0;
+
+  let temperature = { penalty: 0, detail: `feels ${degrees(feelsLike)}, comfortable` };
+  if (feelsLike < band.low) {
+    temperature = {
+      penalty: (band.low - feelsLike) * band.perDegree,
+      detail: `feels ${degrees(feelsLike)}, ${degrees(band.low - feelsLike)} below ${degrees(band.low)}`,
+    };
+  } else if (feelsLike > band.high) {
+    temperature = {
+      penalty: (feelsLike - band.high) * band.perDegree,
+      detail: `feels ${degrees(feelsLike)}, ${degrees(feelsLike - band.high)} above ${degrees(band.high)}`,
+    };
+  }
+
+  const codePenalty = weatherCodePenalty(hour.weatherCode);
+
+  return {
+    temperature,
+    wind: {
+      penalty: Math.max(0, windSpeed - band.calmWind) * band.perWind,
+      detail: `${Math.round(windSpeed)} ${units.windSpeed}, calm up to ${band.calmWind}`,
+    },
+    precipitation: {
+      penalty: precipProbability * 0.5 + codePenalty,
+      detail: `${Math.round(precipProbability)}% chance${codePenalty ? `, ${hour.summary ?? `code ${hour.weatherCode}`}` : ""}`,
+    },
+    road: {
+      penalty: ROAD_PENALTIES[hour.roadStatus] ?? 0,
+      detail: hour.roadStatus ?? "unknown",
+    },
+    daylight: {
+      penalty: LIGHTING_PENALTIES[hour.lighting] ?? 0,
+      detail: hour.lighting ?? "unknown",
+    },
+    airQuality: {
+      penalty: airQualityPenalty(hour.aqi),
+      detail: Number.isFinite(hour.aqi) ? `AQI ${Math.round(hour.aqi)}` : "unknown",
+    },
+  };
+};
+
+const clampScore = (value) => Math.max(0, Math.min(100, value));
+
+export const scoreHour = (hour, units, weights = DEFAULT_SCORE_WEIGHTS) => {
+  const factors = measureFactors(hour, units);
+  const cost = SCORE_FACTORS.reduce(
+    (sum, factor) => sum + factors[factor].penalty * (weights?.[factor] ?? 1),
+    0
+  );
+  return clampScore(100 - cost);
+};
+
+export const rateRideScore = (score) => {
+  if (score >= 80) {
+    return "great";
+  }
+  if (score >= 60) {
+    return "good";
+  }
+  if (score >= 40) {
+    return "fair";
+  }
+  return "poor";
+};
+
+// Per-factor contributions for --explain: points = -(penalty × weight).
+export const explainScore = (hour, units, weights = DEFAULT_SCORE_WEIGHTS) => {
+  const factors = measureFactors(hour, units);
+  const score = Math.round(scoreHour(hour, units, weights));
+  return {
+    score,
+    rating: rateRideScore(score),
+    factors: SCORE_FACTORS.map((factor) => {
+      const weight = weights?.[factor] ?? 1;
+      const { penalty, detail } = factors[factor];
+      return {
+        factor,
+        weight,
+        penalty: Number(penalty.toFixed(1)),
+        points: penalty ? -Number((penalty * weight).toFixed(1)) : 0,
+        detail,
+      };
+    }),
+  };
+};
@@ -0,0 +1,196 @@
+import { toLocalDateTime } from "./weatherData.js";
+
+// --time is read as wall-clock time at the ride's location, the same clock as the forecast's
+// hourly times. Times are "YYYY-MM-DDTHH:MM" strings; arithmetic on them goes through UTC so
+// the machine's own timezone and DST never shift them.
+const MINUTE_MS = 60 * 1000;
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const PARTS_OF_DAY = {
+  morning: "08:00",
+  noon: "12:00",
+  midday: "12:00",
+  afternoon: "14:00",
+  evening: "18:00",
+  night: "21:00",
+  tonight: "21:00",
+  midnight: "00:00",
+};
+
+const SUN_EVENTS = { dawn: "dawn", "first light": "dawn", sunrise: "sunrise", sunset: "sunset", dusk: "dusk", dark: "dusk" };
+
+export const TIME_EXAMPLES = ["now", "07:30", "tomorrow 7am", "sat morning", "+2h", "sunset-1h", "2025-01-20T08:00"];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+export const shiftWallClock = (time, minutes) =>
+  new Date(Date.parse(`${time.slice(0, 16)}:00Z`) + minutes * MINUTE_MS).toISOString().slice(0, 16);
+
+const weekdayOfDate = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+const addDays = (dateKey, days) => shiftWallClock(`${dateKey}T00:00`, days * 24 * 60).slice(0, 10);
+
+const invalidTime = (input) =>
+  new Error(`Couldn't read time '${input}'. Try ${TIME_EXAMPLES.map((example) => `'${example}'`).join(", ")}.`);
+
+// "+2h", "+90m", "+1h30m", "-30 min", "in 2 hours"
+const parseOffsetMinutes = (text) => {
+  const match = text
+    .replace(/^in\s+/, "+")
+    .match(/^([+-])\s*(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/);
+  if (!match || (match[2] === undefined && match[3] === undefined)) {
+    return null;
+  }
+  const minutes = Number(match[2] ?? 0) * 60 + Number(match[3] ?? 0);
+  return Math.round(match[1] === "-" ? -minutes : minutes);
+};
+
+// "7", "7am", "7:30", "7:30 pm", "19:00"
+const parseClock = (text) => {
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?m?\.?)?$/);
+  if (!match || (text.length > 2 && !match[2] && !match[3])) {
+    return null;
+  }
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] ?? 0);
+  const meridiem = match[3];
+  if (minutes > 59 || hours > 23 || (meridiem && (hours < 1 || hours > 12))) {
+    return null;
+  }
+  if (meridiem === "p" && hours < 12) {
+    hours += 12;
+  } else if (meridiem === "a" && hours === 12) {
+    hours = 0;
+  }
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+const findWeekday = (word) =>
+  word.length >= 3 ? WEEKDAYS.findIndex((day) => day.startsWith(word)) : -1;
+
+// Pulls "today", "tomorrow", "tonight", "sat", or "next monday" out of the phrase.
+const takeDay = (words, today) => {
+  for (let index = 0; index < words.length; index += 1) {
+    const word = words[index];
+    const rest = (skip) => words.filter((_, position) => position < index - skip || position > index);
+    if (word === "today" || word === "tonight") {
+      const remaining = rest(0);
+      return { dateKey: today, words: word === "tonight" && !remaining.length ? ["tonight"] : remaining };
+    }
+    if (word === "tomorrow" || word === "tmrw") {
+      return { dateKey: addDays(today, 1), words: rest(0) };
+    }
+    const weekday = findWeekday(word);
+    if (weekday !== -1) {
+      const next = words[index - 1] === "next";
+      const ahead = (weekday - weekdayOfDate(today) + 7) % 7;
+      return { dateKey: addDays(today, next && ahead === 0 ? 7 : ahead), words: rest(next ? 1 : 0) };
+    }
+  }
+  return { dateKey: null, words };
+};
+
+// "sunset", "sunset-1h", "sunrise + 30m", "first light"
+const parseSunEvent = (text, dateKey, getDaylight) => {
+  const name = Object.keys(SUN_EVENTS).find((event) => text.startsWith(event));
+  if (!name) {
+    return null;
+  }
+  const offsetText = text.slice(name.length).trim();
+  const offset = offsetText ? parseOffsetMinutes(offsetText) : 0;
+  if (offset === null) {
+    return null;
+  }
+  const event = SUN_EVENTS[name];
+  const time = getDaylight?.(dateKey)?.[event];
+  if (!time) {
+    throw new Error(`No ${name} time for ${dateKey} in the forecast.`);
+  }
+  return shiftWallClock(time, offset);
+};
+
+const parseTimeOfDay = (text, dateKey, context) => {
+  if (!text) {
+    return `${dateKey}T${context.now.slice(11, 16)}`;
+  }
+  if (PARTS_OF_DAY[text]) {
+    return `${dateKey}T${PARTS_OF_DAY[text]}`;
+  }
+  const clock = parseClock(text.replace(/^at\s+/, ""));
+  if (clock) {
+    return `${dateKey}T${clock}`;
+  }
+  return parseSunEvent(text, dateKey, context.getDaylight);
+};
+
+const ISO_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[t ](\d{1,2}:\d{2})(?::\d{2}(?:\.\d+)?)?)?(z|[+-]\d{2}:?\d{2})?$/i;
+
+const parseIsoTime = (text, input, context) => {
+  const match = text.match(ISO_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, dateKey, clock, zone] = match;
+  if (zone) {
+    const date = new Date(input.trim());
+    return Number.isFinite(date.getTime()) ? toLocalDateTime(date, context.timeZone) : null;
+  }
+  return `${dateKey}T${clock ? clock.padStart(5, "0") : context.now.slice(11, 16)}`;
+};
+
+const EXPLICIT_ZONE = /(?:\b(?:z|gmt|utc)\b|[+-]\d{2}:?\d{2}$)/i;
+
+// Any other date string Date can read ("Oct 20 2026 7:30"). Without an explicit zone the clock
+// is the location's: the fields are read back on the machine's clock, which is how Date
+// parsed them. A year is required, since Date fills a missing one with 2001.
+const parseDateString = (input, context) => {
+  const value = String(input).trim();
+  const date = new Date(value);
+  if (!/\b\d{4}\b/.test(value) || !Number.isFinite(date.getTime())) {
+    return null;
+  }
+  if (EXPLICIT_ZONE.test(value)) {
+    return toLocalDateTime(date, context.timeZone);
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(
+    date.getMinutes()
+  )}`;
+};
+
+// context: { now, timeZone, getDaylight(dateKey), upcoming }. Returns null for "now". With
+// upcoming, a time of day that has already passed today means that time tomorrow.
+export const parseTimeInput = (input, context) => {
+  const text = String(input ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (!text || text === "now") {
+    return null;
+  }
+  if (!context?.now) {
+    throw new Error("Time requires a date context.");
+  }
+
+  const offset = parseOffsetMinutes(text);
+  if (offset !== null) {
+    return shiftWallClock(context.now, offset);
+  }
+
+  const iso = parseIsoTime(text, input, context);
+  if (iso) {
+    return iso;
+  }
+
+  const today = context.now.slice(0, 10);
+  const { dateKey, words } = takeDay(text.split(" "), today);
+  const time = parseTimeOfDay(words.join(" "), dateKey ?? today, context);
+  if (!time) {
+    const dateString = parseDateString(input, context);
+    if (dateString) {
+      return dateString;
+    }
+    throw invalidTime(input);
+  }
+  if (context.upcoming && !dateKey && time < context.now) {
+    return parseTimeOfDay(words.join(" "), addDays(today, 1), context);
+  }
+  return time;
+};
@@ -1,19 +1,17 @@
+import { buildThresholds, getDefaultProfile } from "../services/profiles.js";
+
 const pushUnique = (list, item) => {
   if (!list.includes(item)) {
     list.push(item);
   }
 };
 
-export const buildBikeTips = (current) => {
-  const tips = [
-    "Check tire pressure before rolling",
-    "Carry a spare tube + mini pump",
-    "Front and rear lights if dim out",
-    "Quick bolt check on bars and saddle",
-  ];
+export const buildBikeTips = (current, profile = getDefaultProfile()) => {
+  const tips = [...(profile.tips ?? [])];
+  const thresholds = buildThresholds(profile, current.units);
 
   const precipLikely =
-    current.precipProbability >= 40 ||
+    current.precipProbability >= thresholds.rainLikely ||
     current.precipitation >= current.precipitationThreshold;
 
   if (precipLikely) {
@@ -21,15 +19,41 @@ export const buildBikeTips = (current) => {
     pushUnique(tips, "Lube the chain after wet rides");
   }
 
-  if (current.windSpeed >= 20) {
+  if (current.windSpeed >= thresholds.windAlert) {
     pushUnique(tips, "Lower tire pressure slightly for stability");
   }
 
-  if (current.feelsLike <= 40) {
+  if (current.windGusts >= thresholds.gustAlert) {
+    pushUnique(tips, "Keep a firm grip and a wider line on bridges in the gusts");
+  }
+
+  if (current.uvIndex >= 6) {
+    pushUnique(tips, "Reapply sunscreen on long rides");
+  }
+
+  if (Number.isFinite(current.visibility) && current.visibility < 1000) {
+    pushUnique(tips, "Fog cuts visibility - lights on, front and rear");
+  }
+
+  if (current.aqi >= 101) {
+    pushUnique(tips, "Poor air quality - keep the effort conversational");
+  }
+
+  if (current.roadStatus === "possible black ice") {
+    pushUnique(tips, "Shaded corners and bridges freeze first - ease off before them");
+  } else if (current.roadStatus === "snow") {
+    pushUnique(tips, "Drop tire pressure for grip in the snow");
+  } else if (current.roadStatus === "puddles") {
+    pushUnique(tips, "Ride around puddles, not through - they hide potholes");
+  } else if (current.roadStatus === "wet" || current.roadStatus === "damp") {
+    pushUnique(tips, "Painted lines and manhole covers stay slick after rain");
+  }
+
+  if (current.feelsLike <= thresholds.cold) {
     pushUnique(tips, "Warm up indoors before heading out");
   }
 
-  if (current.feelsLike >= 80) {
+  if (current.feelsLike >= thresholds.hot) {
     pushUnique(tips, "Carry extra water and electrolytes");
   }
 
@@ -1,11 +1,11 @@
 import { loadData, getActivityStats, getBikes } from "../services/db.js";
 import { loadConfig } from "../services/config.js";
-import { fetchWeather } from "../services/openMeteo.js";
-import { describeWeatherCode } from "../services/openMeteo.js";
+import { fetchForecast } from "../services/weather.js";
+import { describeWeatherCode } from "../services/weather.js";
 
 const assessWeatherForTraining = async (location) => {
   try {
-    const result = await fetchWeather(location.latitude, location.longitude, "us");
+    const result = await fetchForecast(location, "us");
     const current = result.data.current_weather;
     const hourly = result.data.hourly;
 
@@ -0,0 +1,291 @@
+const FACTS = [
+  "feelsLike",
+  "temperature",
+  "windSpeed",
+  "windGusts",
+  "precipProbability",
+  "precipitation",
+  "weathercode",
+  "daylight",
+  "precipLikely",
+  "uvIndex",
+  "visibility",
+  "aqi",
+  "pm25",
+  "roadStatus",
+  "lighting",
+  "sweat",
+  "heatStress",
+];
+
+const THRESHOLD_NAMES = [
+  "freezing",
+  "cold",
+  "cool",
+  "mild",
+  "warm",
+  "hot",
+  "windCaution",
+  "windAlert",
+  "gustAlert",
+  "rainLikely",
+  "rainPossible",
+  "precipitationThreshold",
+];
+
+const OPERATORS = {
+  eq: { symbol: "=", test: (actual, expected) => actual === expected },
+  ne: { symbol: "≠", test: (actual, expected) => actual !== expected },
+  lt: { symbol: "<", test: (actual, expected) => actual < expected },
+  lte: { symbol: "≤", test: (actual, expected) => actual <= expected },
+  gt: { symbol: ">", test: (actual, expected) => actual > expected },
+  gte: { symbol: "≥", test: (actual, expected) => actual >= expected },
+  in: { symbol: "in", test: (actual, expected) => expected.includes(actual) },
+  notIn: { symbol: "not in", test: (actual, expected) => !expected.includes(actual) },
+};
+
+const LISTS = ["wear", "bring", "alerts"];
+const COMBINATORS = ["all", "any", "not"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const validateOperand = (operator, value, at, errors) => {
+  if (operator === "in" || operator === "notIn") {
+    if (!Array.isArray(value)) {
+      errors.push(`${at}: '${operator}' needs an array`);
+    }
+    return;
+  }
+  if (typeof value === "string" && !THRESHOLD_NAMES.includes(value)) {
+    errors.push(`${at}: unknown threshold '${value}' (use one of ${THRESHOLD_NAMES.join(", ")})`);
+    return;
+  }
+  if (!["number", "boolean", "string"].includes(typeof value)) {
+    errors.push(`${at}: value must be a number, boolean, or threshold name`);
+  }
+};
+
+const validateCondition = (condition, at, errors) => {
+  if (!isPlainObject(condition)) {
+    errors.push(`${at}: condition must be an object`);
+    return;
+  }
+
+  Object.entries(condition).forEach(([key, value]) => {
+    const path = `${at}.${key}`;
+
+    if (key === "all" || key === "any") {
+      if (!Array.isArray(value) || !value.length) {
+        errors.push(`${path}: '${key}' needs a non-empty array of conditions`);
+        return;
+      }
+      value.forEach((child, index) => validateCondition(child, `${path}[${index}]`, errors));
+      return;
+    }
+
+    if (key === "not") {
+      validateCondition(value, path, errors);
+      return;
+    }
+
+    if (!FACTS.includes(key)) {
+      errors.push(`${path}: unknown fact (use one of ${[...FACTS, ...COMBINATORS].join(", ")})`);
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      return;
+    }
+
+    if (isPlainObject(value)) {
+      const operators = Object.keys(value);
+      if (!operators.length) {
+        errors.push(`${path}: needs at least one operator`);
+      }
+      operators.forEach((operator) => {
+        if (!OPERATORS[operator]) {
+          errors.push(`${path}: unknown operator '${operator}' (use one of ${Object.keys(OPERATORS).join(", ")})`);
+          return;
+        }
+        validateOperand(operator, value[operator], `${path}.${operator}`, errors);
+      });
+      return;
+    }
+
+    validateOperand("eq", value, path, errors);
+  });
+};
+
+export const validateRules = (ruleSet) => {
+  const errors = [];
+
+  if (!isPlainObject(ruleSet)) {
+    return ["Rules file must contain a JSON object"];
+  }
+  if (!Array.isArray(ruleSet.rules)) {
+    return ["'rules' must be an array"];
+  }
+
+  const seen = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    const at = `rules[${index}]`;
+    if (!isPlainObject(rule)) {
+      errors.push(`${at}: rule must be an object`);
+      return;
+    }
+    if (typeof rule.id !== "string" || !rule.id.trim()) {
+      errors.push(`${at}: missing 'id'`);
+    } else if (seen.has(rule.id)) {
+      errors.push(`${at}: duplicate id '${rule.id}'`);
+    } else {
+      seen.add(rule.id);
+    }
+
+    if (rule.when !== undefined) {
+      validateCondition(rule.when, `${at}.when`, errors);
+    }
+
+    LISTS.forEach((list) => {
+      if (rule[list] === undefined) {
+        return;
+      }
+      if (!Array.isArray(rule[list]) || rule[list].some((item) => typeof item !== "string")) {
+        errors.push(`${at}.${list}: must be an array of strings`);
+      }
+    });
+
+    if (!LISTS.some((list) => rule[list]?.length) && !rule.useProfileKit) {
+      errors.push(`${at}: rule adds nothing (set wear, bring, alerts, or useProfileKit)`);
+    }
+  });
+
+  return errors;
+};
+
+const resolveOperand = (value, thresholds) =>
+  typeof value === "string" ? thresholds[value] : value;
+
+const formatValue = (value) =>
+  typeof value === "number" ? String(Math.round(value * 10) / 10) : String(value);
+
+const describeOperand = (value, thresholds) =>
+  typeof value === "string"
+    ? `${value} (${formatValue(thresholds[value])})`
+    : Array.isArray(value)
+    ? `[${value.join(", ")}]`
+    : formatValue(value);
+
+const evaluateFact = (fact, expectation, facts, thresholds, reasons) => {
+  const actual = facts[fact];
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  const checks = Array.isArray(expectation)
+    ? { in: expectation }
+    : isPlainObject(expectation)
+    ? expectation
+    : { eq: expectation };
+
+  return Object.entries(checks).every(([operator, operand]) => {
+    const expected = resolveOperand(operand, thresholds);
+    const passed = OPERATORS[operator].test(actual, expected);
+    if (passed && typeof expected === "boolean" && operator === "eq") {
+      reasons.push(expected ? fact : `not ${fact}`);
+    } else if (passed) {
+      reasons.push(
+        `${fact} ${formatValue(actual)} ${OPERATORS[operator].symbol} ${describeOperand(operand, thresholds)}`
+      );
+    }
+    return passed;
+  });
+};
+
+const evaluateCondition = (condition, facts, thresholds, reasons) => {
+  if (!condition) {
+    return true;
+  }
+
+  return Object.entries(condition).every(([key, value]) => {
+    if (key === "all") {
+      return value.every((child) => evaluateCondition(child, facts, thresholds, reasons));
+    }
+    if (key === "any") {
+      return value.some((child) => evaluateCondition(child, facts, thresholds, reasons));
+    }
+    if (key === "not") {
+      const ignored = [];
+      const passed = !evaluateCondition(value, facts, thresholds, ignored);
+      if (passed) {
+        reasons.push(`not (${ignored.join(", ") || JSON.stringify(value)})`);
+      }
+      return passed;
+    }
+    return evaluateFact(key, value, facts, thresholds, reasons);
+  });
+};
+
+// With a rider speed, feelsLike is the on-the-bike temperature rather than standing still.
+export const buildFacts = (current, thresholds) => ({
+  feelsLike: current.rideFeel?.feelsLike ?? current.feelsLike,
+  temperature: current.temperature,
+  windSpeed: current.windSpeed,
+  windGusts: current.windGusts,
+  precipProbability: current.precipProbability,
+  precipitation: current.precipitation,
+  weathercode: current.weatherCode,
+  daylight: current.daylight,
+  precipLikely:
+    current.precipProbability >= thresholds.rainLikely ||
+    current.precipitation >= current.precipitationThreshold,
+  uvIndex: current.uvIndex,
+  visibility: current.visibility,
+  aqi: current.aqi,
+  pm25: current.pm25,
+  roadStatus: current.roadStatus,
+  lighting: current.lighting,
+  sweat: current.rideFeel?.sweat,
+  heatStress: current.rideFeel?.heatStress,
+});
+
+export const evaluateRules = ({ ruleSet, facts, thresholds, profile }) => {
+  const lists = { wear: [], bring: [], alerts: [] };
+  const sources = [];
+  const unmatched = [];
+
+  const add = (list, item, ruleId, reason) => {
+    if (lists[list].includes(item)) {
+      return;
+    }
+    lists[list].push(item);
+    sources.push({ list, item, rule: ruleId, reason });
+  };
+
+  ruleSet.rules.forEach((rule) => {
+    const reasons = [];
+    if (!evaluateCondition(rule.when, facts, thresholds, reasons)) {
+      unmatched.push(rule.id);
+      return;
+    }
+
+    const reason = reasons.join(", ") || "always";
+    LISTS.forEach((list) => {
+      (rule[list] ?? []).forEach((item) => add(list, item, rule.id, reason));
+    });
+
+    if (rule.useProfileKit) {
+      const profileReason = `${profile?.name ?? "default"} profile kit`;
+      (profile?.kit?.wear ?? []).forEach((item) => add("wear", item, rule.id, profileReason));
+      (profile?.kit?.bring ?? []).forEach((item) => add("bring", item, rule.id, profileReason));
+    }
+  });
+
+  return {
+    essentials: lists.wear,
+    extras: lists.bring,
+    alerts: lists.alerts,
+    sources,
+    unmatched,
+  };
+};
@@ -0,0 +1,74 @@
+// Change detection for `bike watch`. Each check is reduced to the parts a rider acts on —
+// the safety verdict and the wear, bring, and alert lists — and compared with the last check.
+export const WATCHED_LISTS = [
+  { key: "wear", label: "Wear" },
+  { key: "bring", label: "Bring" },
+  { key: "alerts", label: "Heads up" },
+];
+
+export const summarizeCheck = (payload) => ({
+  location: payload.location,
+  time: payload.requestedTime?.time ?? payload.time,
+  verdict: payload.safety?.verdict ?? null,
+  reasons: payload.safety?.reasons ?? [],
+  wear: payload.wear,
+  bring: payload.bring,
+  alerts: payload.alerts,
+});
+
+const diffList = (previous, next) => ({
+  added: next.filter((item) => !previous.includes(item)),
+  removed: previous.filter((item) => !next.includes(item)),
+});
+
+// Returns one entry per changed part, in a fixed order; an empty array means nothing changed.
+export const diffChecks = (previous, next) => {
+  const changes = [];
+  if (previous.verdict !== next.verdict) {
+    const reason = next.reasons[0] ? ` (${next.reasons[0]})` : "";
+    changes.push({
+      field: "verdict",
+      from: previous.verdict,
+      to: next.verdict,
+      message: `Verdict ${previous.verdict} → ${next.verdict}${reason}`,
+    });
+  }
+
+  WATCHED_LISTS.forEach(({ key, label }) => {
+    const { added, removed } = diffList(previous[key], next[key]);
+    if (!added.length && !removed.length) {
+      return;
+    }
+    const parts = [...added.map((item) => `+ ${item}`), ...removed.map((item) => `- ${item}`)];
+    changes.push({ field: key, added, removed, message: `${label}: ${parts.join(", ")}` });
+  });
+
+  return changes;
+};
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// "2025-01-18T07:00" → "Sat 07:00"; wall-clock at the location, so read as UTC.
+const describeTime = (time) => `${WEEKDAY_NAMES[new Date(`${time.slice(0, 10)}T00:00:00Z`).getUTCDay()]} ${time.slice(11, 16)}`;
+
+// event is "start" for the first check, "change" when something moved, "done" once the ride starts.
+export const buildNotification = ({ event, check, changes = [], checkedAt = new Date() }) => {
+  const subject = `${check.location}, ${describeTime(check.time)}`;
+  const messages = {
+    start: `Watching ${subject}: ${check.verdict ?? "no verdict"}`,
+    change: `${subject}: ${changes.map((change) => change.message).join("; ")}`,
+    done: `${subject}: ride time reached, stopped watching`,
+  };
+  return {
+    event,
+    checkedAt: checkedAt.toISOString(),
+    message: messages[event],
+    location: check.location,
+    time: check.time,
+    verdict: check.verdict,
+    changes,
+    wear: check.wear,
+    bring: check.bring,
+    alerts: check.alerts,
+  };
+};
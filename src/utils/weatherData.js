@@ -0,0 +1,220 @@
+export const UNIT_LABELS = {
+  us: { temperature: "°F", windSpeed: "mph", precipitation: "in", distance: "mi" },
+  metric: { temperature: "°C", windSpeed: "km/h", precipitation: "mm", distance: "km" },
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+export const celsiusToFahrenheit = (value) => (value * 9) / 5 + 32;
+export const fahrenheitToCelsius = (value) => ((value - 32) * 5) / 9;
+export const metersPerSecondTo = (value, units) => value * (units === "us" ? 2.236936 : 3.6);
+export const millimetersTo = (value, units) => (units === "us" ? value / 25.4 : value);
+
+const round = (value, digits = 1) =>
+  Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+
+const localPartsFormatter = (timeZone) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+
+// Providers report UTC; the rest of the CLI works in location-local "YYYY-MM-DDTHH:MM".
+export const toLocalDateTime = (value, timeZone) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (!Number.isFinite(date.getTime())) {
+    return null;
+  }
+  let formatter;
+  try {
+    formatter = localPartsFormatter(timeZone || undefined);
+  } catch (error) {
+    formatter = localPartsFormatter(undefined);
+  }
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map((part) => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+const dayOfYear = (dateKey) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / 86400000;
+};
+
+const SUNRISE_ZENITH = 90.833;
+const CIVIL_TWILIGHT_ZENITH = 96;
+
+// NOAA sunrise equation; returns the UTC hour of the event or null during polar day/night.
+const solarEventUtcHours = (dateKey, latitude, longitude, rising, zenith = SUNRISE_ZENITH) => {
+  const lngHour = longitude / 15;
+  const t = dayOfYear(dateKey) + ((rising ? 6 : 18) - lngHour) / 24;
+  const meanAnomaly = 0.9856 * t - 3.289;
+  const trueLongitude = normalizeDegrees(
+    meanAnomaly +
+      1.916 * Math.sin(toRadians(meanAnomaly)) +
+      0.02 * Math.sin(toRadians(2 * meanAnomaly)) +
+      282.634
+  );
+
+  let rightAscension = normalizeDegrees(toDegrees(Math.atan(0.91764 * Math.tan(toRadians(trueLongitude)))));
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  const sinDeclination = 0.39782 * Math.sin(toRadians(trueLongitude));
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosHourAngle =
+    (Math.cos(toRadians(zenith)) - sinDeclination * Math.sin(toRadians(latitude))) /
+    (cosDeclination * Math.cos(toRadians(latitude)));
+
+  if (cosHourAngle > 1 || cosHourAngle < -1) {
+    return null;
+  }
+
+  const hourAngle = (rising ? 360 - toDegrees(Math.acos(cosHourAngle)) : toDegrees(Math.acos(cosHourAngle))) / 15;
+  const localMeanTime = hourAngle + rightAscension - 0.06571 * t - 6.622;
+  return (((localMeanTime - lngHour) % 24) + 24) % 24;
+};
+
+const solarEventLocal = (dateKey, latitude, longitude, timeZone, rising) => {
+  const hours = solarEventUtcHours(dateKey, latitude, longitude, rising);
+  if (hours === null) {
+    return null;
+  }
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const base = Date.UTC(year, month - 1, day) + hours * 3600000;
+
+  for (const shift of [0, -86400000, 86400000]) {
+    const local = toLocalDateTime(new Date(base + shift), timeZone);
+    if (local?.startsWith(dateKey)) {
+      return local;
+    }
+  }
+  return null;
+};
+
+export const buildSunTimes = (dateKey, latitude, longitude, timeZone) => ({
+  sunrise: solarEventLocal(dateKey, latitude, longitude, timeZone, true),
+  sunset: solarEventLocal(dateKey, latitude, longitude, timeZone, false),
+});
+
+const shiftLocalTime = (time, minutes) =>
+  new Date(Date.parse(`${time}:00Z`) + minutes * 60000).toISOString().slice(0, 16);
+
+// Civil dawn and dusk (sun 6° below the horizon) as offsets from the given local sunrise and
+// sunset, so no time zone is needed. Null when the sun never gets that low (white nights).
+export const buildCivilTwilight = ({ dateKey, sunrise, sunset, latitude, longitude }) => {
+  const offsetMinutes = (rising) => {
+    const event = solarEventUtcHours(dateKey, latitude, longitude, rising);
+    const twilight = solarEventUtcHours(dateKey, latitude, longitude, rising, CIVIL_TWILIGHT_ZENITH);
+    if (event === null || twilight === null) {
+      return null;
+    }
+    const hours = ((((twilight - event) % 24) + 36) % 24) - 12;
+    return Math.round(hours * 60);
+  };
+  const valid = dateKey && Number.isFinite(latitude) && Number.isFinite(longitude);
+  const dawnOffset = valid && sunrise ? offsetMinutes(true) : null;
+  const duskOffset = valid && sunset ? offsetMinutes(false) : null;
+
+  return {
+    dawn: dawnOffset === null ? null : shiftLocalTime(sunrise, dawnOffset),
+    dusk: duskOffset === null ? null : shiftLocalTime(sunset, duskOffset),
+  };
+};
+
+// NWS wind chill (°F, mph); meant for 50°F and below with at least 3 mph of wind.
+export const windChillF = (fahrenheit, mph) => {
+  const factor = mph ** 0.16;
+  return 35.74 + 0.6215 * fahrenheit - 35.75 * factor + 0.4275 * fahrenheit * factor;
+};
+
+// NWS heat index (°F, % relative humidity); meant for 80°F and above.
+export const heatIndexF = (t, r) =>
+  -42.379 + 2.04901523 * t + 10.14333127 * r - 0.22475541 * t * r -
+  0.00683783 * t * t - 0.05481717 * r * r + 0.00122874 * t * t * r +
+  0.00085282 * t * r * r - 0.00000199 * t * t * r * r;
+
+// Wind chill below 50°F, heat index above 80°F, otherwise the air temperature.
+export const estimateFeelsLike = ({ temperature, windSpeed, humidity, units }) => {
+  if (!Number.isFinite(temperature)) {
+    return null;
+  }
+  const fahrenheit = units === "us" ? temperature : celsiusToFahrenheit(temperature);
+  const mph = units === "us" ? windSpeed ?? 0 : (windSpeed ?? 0) / 1.609344;
+  let feels = fahrenheit;
+
+  if (fahrenheit <= 50 && mph >= 3) {
+    feels = windChillF(fahrenheit, mph);
+  } else if (fahrenheit >= 80 && Number.isFinite(humidity)) {
+    feels = heatIndexF(fahrenheit, humidity);
+  }
+
+  return round(units === "us" ? feels : fahrenheitToCelsius(feels));
+};
+
+const sumKnown = (values) => values.filter(Number.isFinite).reduce((sum, value) => sum + value, 0);
+const maxKnown = (values) => {
+  const known = values.filter(Number.isFinite);
+  return known.length ? Math.max(...known) : null;
+};
+const minKnown = (values) => {
+  const known = values.filter(Number.isFinite);
+  return known.length ? Math.min(...known) : null;
+};
+
+export const buildDailyFromHourly = ({ hourly, latitude, longitude, timeZone }) => {
+  const dates = [...new Set(hourly.time.map((time) => time.split("T")[0]))];
+  const daily = {
+    time: dates,
+    sunrise: [],
+    sunset: [],
+    precipitation_sum: [],
+    temperature_2m_max: [],
+    temperature_2m_min: [],
+    windspeed_10m_max: [],
+    windgusts_10m_max: [],
+    precipitation_hours: [],
+    weathercode: [],
+  };
+
+  dates.forEach((dateKey) => {
+    const indexes = hourly.time
+      .map((time, index) => (time.startsWith(dateKey) ? index : -1))
+      .filter((index) => index !== -1);
+    const pick = (key) => indexes.map((index) => hourly[key]?.[index]);
+    const { sunrise, sunset } = buildSunTimes(dateKey, latitude, longitude, timeZone);
+
+    daily.sunrise.push(sunrise);
+    daily.sunset.push(sunset);
+    daily.precipitation_sum.push(round(sumKnown(pick("precipitation")), 2));
+    daily.temperature_2m_max.push(maxKnown(pick("temperature_2m")));
+    daily.temperature_2m_min.push(minKnown(pick("temperature_2m")));
+    daily.windspeed_10m_max.push(maxKnown(pick("windspeed_10m")));
+    daily.windgusts_10m_max.push(maxKnown(pick("windgusts_10m")));
+    daily.precipitation_hours.push(pick("precipitation").filter((value) => value > 0).length);
+    daily.weathercode.push(maxKnown(pick("weathercode")));
+  });
+
+  return daily;
+};
+
+export const buildCurrentFromHourly = (hourly, nowTime) => {
+  const nowMs = Date.parse(nowTime);
+  const nextIndex = hourly.time.findIndex((time) => Date.parse(time) > nowMs);
+  const index = nextIndex === -1 ? hourly.time.length - 1 : Math.max(0, nextIndex - 1);
+  return {
+    time: hourly.time[index],
+    temperature: hourly.temperature_2m[index],
+    windspeed: hourly.windspeed_10m[index],
+    winddirection: hourly.winddirection_10m?.[index] ?? null,
+    weathercode: hourly.weathercode[index],
+  };
+};
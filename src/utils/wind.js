@@ -0,0 +1,134 @@
+import { toCardinalDirection } from "./format.js";
+
+const CALM_WIND = { mph: 5, "km/h": 8 };
+
+const CARDINAL_HEADINGS = Object.fromEntries(
+  Array.from({ length: 16 }, (_, index) => [toCardinalDirection(index * 22.5), index * 22.5])
+);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+export const parseHeading = (input) => {
+  if (input === undefined || input === null || input === "") {
+    return null;
+  }
+  const text = String(input).trim().toUpperCase();
+  if (Object.hasOwn(CARDINAL_HEADINGS, text)) {
+    return CARDINAL_HEADINGS[text];
+  }
+  const degrees = Number(text);
+  if (!Number.isFinite(degrees) || degrees < 0 || degrees > 360) {
+    throw new Error("Heading must be a compass direction (N, NE, SSW...) or degrees from 0 to 360.");
+  }
+  return normalizeDegrees(degrees);
+};
+
+export const reverseHeading = (heading) => normalizeDegrees(heading + 180);
+
+// Wind direction is where the wind blows from, so a wind from the heading is a pure headwind.
+export const windComponents = ({ windSpeed, windFrom, heading }) => {
+  if (![windSpeed, windFrom, heading].every(Number.isFinite)) {
+    return { headwind: null, crosswind: null };
+  }
+  const angle = toRadians(windFrom - heading);
+  return {
+    headwind: round(windSpeed * Math.cos(angle)),
+    crosswind: round(Math.abs(windSpeed * Math.sin(angle))),
+  };
+};
+
+export const describeWindComponent = ({ headwind, crosswind }, windUnit) => {
+  if (!Number.isFinite(headwind)) {
+    return "unknown";
+  }
+  const calm = CALM_WIND[windUnit] ?? CALM_WIND.mph;
+  if (Math.abs(headwind) < calm && crosswind < calm) {
+    return "light";
+  }
+  if (crosswind > Math.abs(headwind)) {
+    return "crosswind";
+  }
+  return headwind > 0 ? "headwind" : "tailwind";
+};
+
+const averageComponents = (entries) => {
+  const known = entries.filter((entry) => Number.isFinite(entry.headwind));
+  if (!known.length) {
+    return { headwind: null, crosswind: null };
+  }
+  const total = known.reduce(
+    (sum, entry) => ({
+      headwind: sum.headwind + entry.headwind,
+      crosswind: sum.crosswind + entry.crosswind,
+    }),
+    { headwind: 0, crosswind: 0 }
+  );
+  return {
+    headwind: round(total.headwind / known.length),
+    crosswind: round(total.crosswind / known.length),
+  };
+};
+
+const buildWindAdvice = (legs, { roundTrip, windUnit }) => {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  const firstKind = describeWindComponent(first, windUnit);
+  const lastKind = describeWindComponent(last, windUnit);
+
+  if (firstKind === "unknown") {
+    return null;
+  }
+  if (firstKind === "headwind" && lastKind === "tailwind") {
+    return roundTrip
+      ? "Ride out into the wind, come home with it"
+      : "Headwind early, tailwind to finish";
+  }
+  if (firstKind === "tailwind" && lastKind === "headwind") {
+    return roundTrip
+      ? "Tailwind on the way out — save energy for the headwind home"
+      : "Tailwind early — save energy for the headwind late";
+  }
+  if (firstKind === "headwind" && lastKind === "headwind") {
+    return "Headwind most of the way — allow extra time";
+  }
+  if (firstKind === "tailwind" && lastKind === "tailwind") {
+    return "Tailwind most of the way — enjoy the push";
+  }
+  if (firstKind === "crosswind" || lastKind === "crosswind") {
+    return "Crosswinds — hold your line on exposed stretches";
+  }
+  return "Light wind — no need to plan around it";
+};
+
+// out and back are each leg's { windSpeed, windFrom }, read from the hour that leg is ridden.
+export const analyzeOutAndBack = ({ heading, out, back, windUnit }) => {
+  const legs = [
+    { label: "Out", heading, wind: out },
+    { label: "Back", heading: reverseHeading(heading), wind: back },
+  ].map(({ wind, ...leg }) => ({
+    ...leg,
+    direction: toCardinalDirection(leg.heading),
+    ...windComponents({ windSpeed: wind.windSpeed, windFrom: wind.windFrom, heading: leg.heading }),
+  }));
+
+  return { legs, advice: buildWindAdvice(legs, { roundTrip: true, windUnit }) };
+};
+
+export const analyzeRouteWind = ({ segments, roundTrip, windUnit }) => {
+  const total = segments[segments.length - 1]?.distance ?? 0;
+  const halves = [
+    { label: "First half", entries: segments.filter((segment) => segment.distance < total / 2) },
+    { label: "Second half", entries: segments.filter((segment) => segment.distance >= total / 2) },
+  ].filter((half) => half.entries.length);
+
+  const legs = halves.map(({ label, entries }) => ({
+    label,
+    ...averageComponents(entries),
+  }));
+
+  return { legs, advice: legs.length ? buildWindAdvice(legs, { roundTrip, windUnit }) : null };
+};
@@ -0,0 +1,174 @@
+import { COMFORT_BANDS, FROZEN_CODES, THUNDER_CODES, scoreHour } from "./score.js";
+
+const parseClock = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+const minutesOfDay = (time) => {
+  const [, clock = "00:00"] = time.split("T");
+  return parseClock(clock.slice(0, 5)) ?? 0;
+};
+
+export const parseBetween = (input) => {
+  if (!input) {
+    return null;
+  }
+  const [start, end] = String(input).split("-");
+  const startMinutes = parseClock(start ?? "");
+  const endMinutes = parseClock(end ?? "");
+  if (startMinutes === null || endMinutes === null || endMinutes <= startMinutes) {
+    throw new Error("Between must look like 'HH:MM-HH:MM' with the end after the start.");
+  }
+  return { start: startMinutes, end: endMinutes, label: `${start.trim()}–${end.trim()}` };
+};
+
+const buildReasons = (hours, units) => {
+  const band = COMFORT_BANDS[units.temperature] ?? COMFORT_BANDS["°F"];
+  const feels = hours.map((hour) => hour.feelsLike);
+  const minFeels = Math.min(...feels);
+  const maxFeels = Math.max(...feels);
+  const maxWind = Math.max(...hours.map((hour) => hour.windSpeed ?? 0));
+  const maxPrecip = Math.max(...hours.map((hour) => hour.precipProbability ?? 0));
+  const codes = hours.map((hour) => hour.weatherCode);
+  const reasons = [];
+
+  const feelsRange = Math.round(minFeels) === Math.round(maxFeels)
+    ? `${Math.round(minFeels)}${units.temperature}`
+    : `${Math.round(minFeels)}–${Math.round(maxFeels)}${units.temperature}`;
+  if (minFeels >= band.low && maxFeels <= band.high) {
+    reasons.push(`Comfortable, feels ${feelsRange}`);
+  } else if (minFeels < band.low) {
+    reasons.push(`Cool, feels ${feelsRange}`);
+  } else {
+    reasons.push(`Warm, feels ${feelsRange}`);
+  }
+
+  if (maxPrecip < 20) {
+    reasons.push(`Dry, rain chance ≤ ${Math.round(maxPrecip)}%`);
+  } else {
+    reasons.push(`Rain chance up to ${Math.round(maxPrecip)}%`);
+  }
+
+  if (maxWind <= band.calmWind) {
+    reasons.push(`Light wind, ≤ ${Math.round(maxWind)} ${units.windSpeed}`);
+  } else {
+    reasons.push(`Wind up to ${Math.round(maxWind)} ${units.windSpeed}`);
+  }
+
+  if (codes.some((code) => THUNDER_CODES.includes(code))) {
+    reasons.push("Thunderstorms in the forecast");
+  } else if (codes.some((code) => FROZEN_CODES.includes(code))) {
+    reasons.push("Snow or freezing precipitation possible");
+  }
+
+  return { reasons, minFeels, maxFeels, maxWind, maxPrecip };
+};
+
+export const findRideWindows = ({
+  data,
+  units,
+  durationMinutes,
+  fromTime,
+  days,
+  between,
+  maxWind,
+  getDaylight,
+  limit,
+  weights,
+}) => {
+  const hourly = data.hourly ?? {};
+  const times = hourly.time ?? [];
+  const windowHours = Math.max(1, Math.ceil(durationMinutes / 60));
+  const fromMs = Date.parse(fromTime ?? "");
+  const untilMs = Number.isFinite(fromMs) ? fromMs + days * 24 * 60 * 60 * 1000 : Infinity;
+
+  const hours = times.map((time, index) => ({
+    time,
+    temperature: hourly.temperature_2m?.[index],
+    feelsLike: hourly.apparent_temperature?.[index],
+    windSpeed: hourly.windspeed_10m?.[index],
+    precipProbability: hourly.precipitation_probability?.[index] ?? 0,
+    weatherCode: hourly.weathercode?.[index],
+  }));
+
+  const windows = [];
+
+  for (let index = 0; index + windowHours <= hours.length; index++) {
+    const start = hours[index];
+    const startMs = Date.parse(start.time);
+    const endMs = startMs + durationMinutes * 60 * 1000;
+
+    if (Number.isFinite(fromMs) && startMs < fromMs - 30 * 60 * 1000) {
+      continue;
+    }
+    if (endMs > untilMs) {
+      break;
+    }
+
+    const startMinutes = minutesOfDay(start.time);
+    const endMinutes = startMinutes + durationMinutes;
+    if (between && (startMinutes < between.start || endMinutes > between.end)) {
+      continue;
+    }
+
+    const daylight = getDaylight ? getDaylight(start.time.split("T")[0]) : null;
+    if (daylight) {
+      const sunriseMs = Date.parse(daylight.sunrise);
+      const sunsetMs = Date.parse(daylight.sunset);
+      if (startMs < sunriseMs || endMs > sunsetMs) {
+        continue;
+      }
+    }
+
+    const windowSlice = hours.slice(index, index + windowHours);
+    if (Number.isFinite(maxWind) && windowSlice.some((hour) => (hour.windSpeed ?? 0) > maxWind)) {
+      continue;
+    }
+
+    const scores = windowSlice.map((hour) => scoreHour(hour, units, weights));
+    const average = scores.reduce((sum, value) => sum + value, 0) / scores.length;
+    const score = Math.round(average * 0.7 + Math.min(...scores) * 0.3);
+    const { reasons, minFeels, maxFeels, maxWind: windowWind, maxPrecip } = buildReasons(
+      windowSlice,
+      units
+    );
+
+    windows.push({
+      start: start.time,
+      startMs,
+      endMs,
+      score,
+      feelsLikeMin: minFeels,
+      feelsLikeMax: maxFeels,
+      maxWind: windowWind,
+      maxPrecipProbability: maxPrecip,
+      reasons,
+    });
+  }
+
+  const ranked = windows.sort((a, b) => b.score - a.score || a.startMs - b.startMs);
+  const picked = [];
+
+  for (const candidate of ranked) {
+    if (picked.length >= limit) {
+      break;
+    }
+    const overlaps = picked.some(
+      (window) => candidate.startMs < window.endMs && window.startMs < candidate.endMs
+    );
+    if (!overlaps) {
+      picked.push(candidate);
+    }
+  }
+
+  return picked.map(({ startMs, endMs, ...window }) => window);
+};